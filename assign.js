@@ -1,10 +1,46 @@
+import match from '@superhero/deep/match'
+
 export default function assign(a, ...b)
 {
-  b.forEach((b) => assignB2A(a, b))
+  return assignWith({}, a, ...b)
+}
+
+/**
+ * Assigns the same way as the default assign function, but with options.
+ *
+ * Arrays are assigned by the strategy defined by the "array" option:
+ * - "union"    appends the values not already present, the default.
+ * - "replace"  replaces the elements with the elements of the latter array.
+ * - "concat"   appends all values, keeping duplicate values.
+ * - "byIndex"  deep-assigns the elements sharing the same index.
+ * - "byKey"    deep-assigns the object elements sharing the same key, where
+ *              the key is defined by the "key" option, either as the name
+ *              of the identifying property or as a function that returns
+ *              the identity of an element.
+ *
+ * @example assignWith({ array: 'byKey', key: 'id' }, a, b)
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Values present on both sides can be assigned by custom resolvers, defined
+ * by the "resolvers" option as an object or a map, keyed by path patterns.
+ * The first resolver with a pattern matching the path of the value is called
+ * with both values and the path, and returns the assigned value. Values not
+ * matched by any pattern are assigned the default way.
+ *
+ * @example assignWith({ resolvers: { 'server.plugins': (a, b) => b } }, a, b)
+ */
+export function assignWith(options, a, ...b)
+{
+  options.array = options.array ?? 'union'
+
+  assertArrayStrategy(options)
+
+  b.forEach((b) => assignB2A(a, b, options, []))
   return a
 }
 
-function assignB2A(a, b)
+function assignB2A(a, b, options, path)
 {
   if(b === undefined)
   {
@@ -16,18 +52,25 @@ function assignB2A(a, b)
     return a
   }
 
+  const resolver = findResolver(path, options)
+
+  if(resolver)
+  {
+    return resolver(a, b, path)
+  }
+
   const
     aType = Object.prototype.toString.call(a),
     bType = Object.prototype.toString.call(b)
 
   if(aType === '[object Array]' && bType === '[object Array]')
   {
-    return assignArray(a, b)
+    return assignArray(a, b, options, path)
   }
 
   if(aType === '[object Object]' && bType === '[object Object]')
   {
-    return assignObject(a, b)
+    return assignObject(a, b, options, path)
   }
 
   if(aType === '[object Set]' && bType === '[object Set]')
@@ -37,20 +80,125 @@ function assignB2A(a, b)
 
   if(aType === '[object Map]' && bType === '[object Map]')
   {
-    return assignMap(a, b)
+    return assignMap(a, b, options, path)
   }
 
   return b
 }
 
-function assignArray(a, b)
+function assignArray(a, b, options, path)
+{
+  switch(options.array)
+  {
+    case 'union':
+    {
+      const values = new Set(a.concat(b))
+      a.length = 0
+      a.push(...values)
+      return a
+    }
+    case 'replace':
+    {
+      a.length = 0
+      a.push(...b)
+      return a
+    }
+    case 'concat':
+    {
+      a.push(...b)
+      return a
+    }
+    case 'byIndex':
+    {
+      for(let i = 0; i < b.length; i++)
+      {
+        a[i] = i < a.length
+             ? assignB2A(a[i], b[i], options, [...path, i])
+             : b[i]
+      }
+      return a
+    }
+    case 'byKey':
+    {
+      return assignArrayByKey(a, b, options, path)
+    }
+  }
+}
+
+function assignArrayByKey(a, b, options, path)
 {
-  const values = new Set(a.concat(b))
-  a.length = 0
-  a.push(...values)
+  const indexes = new Map
+
+  for(let i = 0; i < a.length; i++)
+  {
+    const key = keyOf(a[i], options)
+
+    if(undefined !== key
+    && false === indexes.has(key))
+    {
+      indexes.set(key, i)
+    }
+  }
+
+  for(const value of b)
+  {
+    const key = keyOf(value, options)
+
+    if(undefined === key)
+    {
+      // elements without an identity are assigned as a union
+      if(false === a.includes(value))
+      {
+        a.push(value)
+      }
+    }
+    else if(indexes.has(key))
+    {
+      const i = indexes.get(key)
+      a[i] = assignB2A(a[i], value, options, [...path, i])
+    }
+    else
+    {
+      indexes.set(key, a.push(value) - 1)
+    }
+  }
+
   return a
 }
 
+function findResolver(path, options)
+{
+  if(0 === path.length
+  || undefined === options.resolvers)
+  {
+    return
+  }
+
+  const resolvers = options.resolvers instanceof Map
+                  ? options.resolvers
+                  : Object.entries(options.resolvers)
+
+  for(const [pattern, resolver] of resolvers)
+  {
+    if(match(path, pattern))
+    {
+      return resolver
+    }
+  }
+}
+
+function keyOf(value, options)
+{
+  if(typeof value !== 'object' || value === null)
+  {
+    return undefined
+  }
+
+  return typeof options.key === 'function'
+    ? options.key(value)
+    : value[options.key]
+}
+
 function assignSet(a, b)
 {
   for(const v of b)
@@ -60,13 +208,13 @@ function assignSet(a, b)
   return a
 }
 
-function assignMap(a, b)
+function assignMap(a, b, options, path)
 {
   for(const [k, v] of b)
   {
     if(a.has(k))
     {
-      a.set(k, assignB2A(a.get(k), v))
+      a.set(k, assignB2A(a.get(k), v, options, [...path, k]))
     }
     else
     {
@@ -87,7 +235,7 @@ function assignMap(a, b)
  *   - else: leave as-is
  * - Accessors are copied as accessors; never forced into data descriptors.
  */
-function assignObject(a, b)
+function assignObject(a, b, options, path)
 {
   for(const key of Reflect.ownKeys(b))
   {
@@ -104,14 +252,16 @@ function assignObject(a, b)
     const aIsData = !!da && ('value' in da)
     const bIsData = 'value' in db
 
-    // recurse only when both are data props holding plain objects
+    // recurse only when both are data props holding plain objects, and the
+    // property is not resolved by a custom resolver
     if(hasA
     && aIsData
     && bIsData
+    && undefined === findResolver([...path, key], options)
     && Object.prototype.toString.call(da.value) === '[object Object]'
     && Object.prototype.toString.call(db.value) === '[object Object]')
     {
-      assignObject(da.value, db.value)
+      assignObject(da.value, db.value, options, [...path, key])
       continue
     }
 
@@ -120,12 +270,12 @@ function assignObject(a, b)
       // if not configurable, we can only write if it's a writable data prop
       if(da && da.configurable)
       {
-        assignPropertyDescriptor(a, da, db, key)
+        assignPropertyDescriptor(a, da, db, key, options, path)
       }
       else if(da && ('value' in da) && da.writable)
       {
         // only safe for data properties
-        const next = assignB2A(da.value, bIsData ? db.value : undefined)
+        const next = assignB2A(da.value, bIsData ? db.value : undefined, options, [...path, key])
         Object.defineProperty(a, key, { ...da, value: next })
       }
       else
@@ -136,14 +286,14 @@ function assignObject(a, b)
     else
     {
       // define new property with b's descriptor, but merge the value if needed
-      assignPropertyDescriptor(a, undefined, db, key)
+      assignPropertyDescriptor(a, undefined, db, key, options, path)
     }
   }
 
   return a
 }
 
-function assignPropertyDescriptor(a, da, db, key)
+function assignPropertyDescriptor(a, da, db, key, options, path)
 {
   // Accessor: copy as-is (no merging of get/set)
   if(!('value' in db))
@@ -152,9 +302,33 @@ function assignPropertyDescriptor(a, da, db, key)
     return
   }
 
-  const aValue = da && ('value' in da) ? da.value : undefined
-  const next   = assignB2A(aValue, db.value)
+  // only a value present on both sides is assigned to the existing value
+  const next = da && ('value' in da)
+             ? assignB2A(da.value, db.value, options, [...path, key])
+             : db.value
 
   const descriptor = { ...db, value: next }
   Object.defineProperty(a, key, descriptor)
 }
+
+function assertArrayStrategy(options)
+{
+  if(false === ['union', 'replace', 'concat', 'byIndex', 'byKey'].includes(options.array))
+  {
+    throw new InvalidArrayStrategyError(`Unknown array strategy "${options.array}"`)
+  }
+
+  if('byKey' === options.array
+  && 'string'   !== typeof options.key
+  && 'symbol'   !== typeof options.key
+  && 'function' !== typeof options.key)
+  {
+    throw new InvalidArrayStrategyError('The "byKey" array strategy requires a "key" option')
+  }
+}
+
+class InvalidArrayStrategyError extends TypeError
+{
+  name = 'InvalidArrayStrategyError'
+  code = 'E_DEEP_ASSIGN_INVALID_ARRAY_STRATEGY'
+}
@@ -1,6 +1,7 @@
 import assert           from 'assert'
 import { suite, test }  from 'node:test'
 import deepassign       from '@superhero/deep/assign'
+import { assignWith }   from '@superhero/deep/assign'
 
 suite('@superhero/deep/assign', () =>
 {
@@ -346,4 +347,98 @@ suite('@superhero/deep/assign', () =>
       assert.strictEqual(d.writable, true)
     })
   })
+
+  suite('Array strategies', () =>
+  {
+    test('Assigns arrays as a union by default', () =>
+    {
+      const a = [1, 2]
+      assignWith({}, a, [2, 3])
+      assert.deepStrictEqual(a, [1, 2, 3])
+    })
+
+    test('Replaces arrays', () =>
+    {
+      const
+        array = [1, 2],
+        a     = { foo: array }
+
+      assignWith({ array: 'replace' }, a, { foo: [3] })
+
+      assert.deepStrictEqual(a, { foo: [3] })
+      assert.strictEqual(a.foo, array, 'The array should be mutated, not replaced')
+    })
+
+    test('Concatenates arrays and keeps duplicate values', () =>
+    {
+      const a = [1, 2]
+      assignWith({ array: 'concat' }, a, [2, 3])
+      assert.deepStrictEqual(a, [1, 2, 2, 3])
+    })
+
+    test('Assigns arrays by index', () =>
+    {
+      const a = [{ foo: 1 }, 'bar', { baz: 1 }]
+      assignWith({ array: 'byIndex' }, a, [{ qux: 2 }, 'quux', undefined, 'corge'])
+      assert.deepStrictEqual(a, [{ foo: 1, qux: 2 }, 'quux', { baz: 1 }, 'corge'])
+    })
+
+    test('Assigns arrays by key', () =>
+    {
+      const
+        a         = [{ id: 1, foo: 1 }, { id: 2, foo: 2 }, 'bar'],
+        b         = [{ id: 2, baz: 3 }, { id: 3, foo: 4 }, 'bar', 'qux'],
+        expected  = [{ id: 1, foo: 1 }, { id: 2, foo: 2, baz: 3 }, 'bar', { id: 3, foo: 4 }, 'qux'],
+        element   = a[1]
+
+      assignWith({ array: 'byKey', key: 'id' }, a, b)
+
+      assert.deepStrictEqual(a, expected)
+      assert.strictEqual(a[1], element, 'Matched elements should be assigned to, not replaced')
+    })
+
+    test('Throws on an invalid strategy', () =>
+    {
+      assert.throws(() => assignWith({ array: 'unknown' }, [], []),
+      {
+        name: 'InvalidArrayStrategyError',
+        code: 'E_DEEP_ASSIGN_INVALID_ARRAY_STRATEGY'
+      })
+    })
+  })
+
+  suite('Resolvers', () =>
+  {
+    test('Resolves values by path pattern', () =>
+    {
+      const
+        headers = { foo: 1 },
+        a       = { server: { plugins: ['a', 'b'], headers }, logging: { level: 'debug' } },
+        b       = { server: { plugins: ['c'], headers: { bar: 2 } }, logging: { level: 'warn' } },
+        options =
+        {
+          resolvers:
+          {
+            'server.plugins'  : (a, b) => b,
+            'logging.level'   : (a, b) => a === 'debug' ? a : b
+          }
+        }
+
+      assignWith(options, a, b)
+
+      assert.deepStrictEqual(a, { server: { plugins: ['c'], headers: { foo: 1, bar: 2 } }, logging: { level: 'debug' } })
+      assert.strictEqual(a.server.headers, headers, 'Unresolved objects should be assigned to')
+    })
+
+    test('Resolves plain objects before assigning to them', () =>
+    {
+      const
+        a = { foo: { bar: 1 } },
+        b = { foo: { baz: 2 } }
+
+      assignWith({ resolvers: { 'foo': (a, b, path) => ({ path }) } }, a, b)
+
+      assert.deepStrictEqual(a, { foo: { path: ['foo'] } })
+    })
+  })
 })
@@ -1,9 +1,50 @@
+import { Blob, Buffer, File } from 'node:buffer'
+
+/**
+ * Binary data is cloned with the same relationships as the original, views
+ * over the same buffer are cloned as views over the same cloned buffer. A
+ * Buffer allocated from the internal pool of small buffers of Node is
+ * cloned by its own bytes only.
+ *
+ * A SharedArrayBuffer is meant to be shared, and by default is therefore not
+ * cloned. The "sharedArrayBuffer" option defines the policy:
+ * - "share"  keeps the reference to the same shared memory, the default.
+ * - "copy"   copies the content to a new SharedArrayBuffer.
+ * - "throw"  throws a SharedArrayBufferError.
+ *
+ * @example clone(value, { sharedArrayBuffer: 'copy' })
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * An object can define how it is cloned by implementing a method keyed by
+ * the cloneSymbol, for example to clone private fields. The method is called
+ * with a clone function that recursively clones a value, and the map of the
+ * already cloned objects, where the object should register its clone before
+ * recursing to participate in the circular reference handling.
+ *
+ * @example
+ * class Counter
+ * {
+ *   #state = { count: 0 }
+ *
+ *   [cloneSymbol](clone, seen)
+ *   {
+ *     const counter = new Counter
+ *     seen.set(this, counter)
+ *     counter.#state = clone(this.#state)
+ *     return counter
+ *   }
+ * }
+ */
+export const cloneSymbol = Symbol.for('@superhero/deep/clone')
+
 export default function clone(input, options = {}) 
 {
   const seen = new WeakMap()
 
   options.preservesImutable   = options.preservesImutable   ?? false
   options.preservesEnumerable = options.preservesEnumerable ?? true
+  options.sharedArrayBuffer   = options.sharedArrayBuffer   ?? 'share'
   options.fallback            = options.fallback            ?? ((value) => cloneObject(options, seen, value))
 
   return deepClone(options, seen, input)
@@ -13,7 +54,11 @@ function deepClone(options, seen, value)
 {
   let clone
 
-  switch(Object.prototype.toString.call(value))
+  if(isCloneable(value))
+  {
+    clone = cloneCustom(options, seen, value)
+  }
+  else switch(Object.prototype.toString.call(value))
   {
     case '[object Array]'   : clone = cloneArray(options, seen, value)        ; break
     case '[object Object]'  : clone = cloneObject(options, seen, value)       ; break
@@ -21,6 +66,33 @@ function deepClone(options, seen, value)
     case '[object Map]'     : clone = cloneMap(options, seen, value)          ; break
     case '[object Date]'    : clone = new Date(value.getTime())               ; break
     case '[object RegExp]'  : clone = new RegExp(value.source, value.flags)   ; break
+
+    case '[object ArrayBuffer]'       : clone = cloneArrayBuffer(options, seen, value)        ; break
+    case '[object SharedArrayBuffer]' : clone = cloneSharedArrayBuffer(options, seen, value)  ; break
+    case '[object DataView]'          :
+    case '[object Int8Array]'         :
+    case '[object Uint8Array]'        :
+    case '[object Uint8ClampedArray]' :
+    case '[object Int16Array]'        :
+    case '[object Uint16Array]'       :
+    case '[object Int32Array]'        :
+    case '[object Uint32Array]'       :
+    case '[object Float32Array]'      :
+    case '[object Float64Array]'      :
+    case '[object BigInt64Array]'     :
+    case '[object BigUint64Array]'    : clone = cloneView(options, seen, value)               ; break
+
+    case '[object Error]'             : clone = cloneError(options, seen, value)                    ; break
+    case '[object Number]'            : clone = cloneBoxed(options, seen, value, Number.prototype)  ; break
+    case '[object String]'            : clone = cloneBoxed(options, seen, value, String.prototype)  ; break
+    case '[object Boolean]'           : clone = cloneBoxed(options, seen, value, Boolean.prototype) ; break
+    case '[object BigInt]'            : clone = cloneBoxed(options, seen, value, BigInt.prototype)  ; break
+    case '[object Symbol]'            : clone = cloneBoxed(options, seen, value, Symbol.prototype)  ; break
+    case '[object URL]'               : clone = new URL(value.href)                                 ; break
+    case '[object URLSearchParams]'   : clone = new URLSearchParams(value)                          ; break
+    case '[object Blob]'              : clone = cloneBlob(value)                                    ; break
+    case '[object File]'              : clone = cloneBlob(value)                                    ; break
+
     default                 : clone = options.fallback(value)                 ; break
   }
 
@@ -47,6 +119,32 @@ function deepClone(options, seen, value)
   return clone
 }
 
+export function isCloneable(value)
+{
+  return typeof value === 'object'
+      && value !== null
+      && typeof value[cloneSymbol] === 'function'
+}
+
+function cloneCustom(options, seen, value)
+{
+  const already = seen.get(value)
+
+  if(already)
+  {
+    return already
+  }
+
+  const clone = value[cloneSymbol]((value) => deepClone(options, seen, value), seen)
+
+  if(false === seen.has(value))
+  {
+    seen.set(value, clone)
+  }
+
+  return clone
+}
+
 function cloneArray(options, seen, array) 
 {
   const already = seen.get(array)
@@ -139,6 +237,189 @@ function cloneMap(options, seen, map)
   return clone
 }
 
+function cloneArrayBuffer(options, seen, buffer)
+{
+  const already = seen.get(buffer)
+
+  if(already)
+  {
+    return already
+  }
+
+  const clone = buffer.resizable
+              ? new ArrayBuffer(buffer.byteLength, { maxByteLength: buffer.maxByteLength })
+              : new ArrayBuffer(buffer.byteLength)
+
+  new Uint8Array(clone).set(new Uint8Array(buffer))
+  seen.set(buffer, clone)
+
+  return clone
+}
+
+function cloneSharedArrayBuffer(options, seen, buffer)
+{
+  switch(options.sharedArrayBuffer)
+  {
+    case 'share':
+    {
+      return buffer
+    }
+    case 'copy':
+    {
+      const already = seen.get(buffer)
+
+      if(already)
+      {
+        return already
+      }
+
+      const clone = buffer.growable
+                  ? new SharedArrayBuffer(buffer.byteLength, { maxByteLength: buffer.maxByteLength })
+                  : new SharedArrayBuffer(buffer.byteLength)
+
+      new Uint8Array(clone).set(new Uint8Array(buffer))
+      seen.set(buffer, clone)
+
+      return clone
+    }
+    case 'throw':
+    {
+      throw new SharedArrayBufferError('Cloning a SharedArrayBuffer is not allowed')
+    }
+    default:
+    {
+      throw new TypeError(`Unknown SharedArrayBuffer policy "${options.sharedArrayBuffer}"`)
+    }
+  }
+}
+
+function cloneView(options, seen, view)
+{
+  const already = seen.get(view)
+
+  if(already)
+  {
+    return already
+  }
+
+  // a buffer allocated from the pool of small buffers of Node is cloned by
+  // its own bytes only, unless the pool is already cloned as part of the
+  // value, the pool is otherwise not meant to be shared
+  if(Buffer.isBuffer(view)
+  && view.buffer.byteLength === Buffer.poolSize
+  && view.length < view.buffer.byteLength
+  && false === seen.has(view.buffer))
+  {
+    const clone = Buffer.allocUnsafeSlow(view.length)
+    clone.set(view)
+    seen.set(view, clone)
+    return clone
+  }
+
+  const buffer = deepClone(options, seen, view.buffer)
+
+  let clone
+
+  if(view instanceof DataView)
+  {
+    clone = new DataView(buffer, view.byteOffset, view.byteLength)
+  }
+  else if(Buffer.isBuffer(view))
+  {
+    clone = Buffer.from(buffer, view.byteOffset, view.length)
+  }
+  else
+  {
+    clone = new view.constructor(buffer, view.byteOffset, view.length)
+  }
+
+  seen.set(view, clone)
+
+  return clone
+}
+
+/**
+ * An error is created as a native error, to keep the internal error slot,
+ * with the prototype of the original error to keep instanceof checks. The
+ * own properties, such as message, stack, cause and errors, are then cloned
+ * as with any other object.
+ */
+function cloneError(options, seen, error)
+{
+  const already = seen.get(error)
+
+  if(already)
+  {
+    return already
+  }
+
+  const clone = new Error
+
+  Object.setPrototypeOf(clone, Object.getPrototypeOf(error))
+  seen.set(error, clone)
+
+  for(const key of Reflect.ownKeys(clone))
+  {
+    if(false === Object.prototype.hasOwnProperty.call(error, key))
+    {
+      delete clone[key]
+    }
+  }
+
+  for(const key of Reflect.ownKeys(error))
+  {
+    cloneProperty(options, seen, error, clone, key)
+  }
+
+  return clone
+}
+
+/**
+ * A boxed primitive has the type tag of the primitive, a primitive is not
+ * an object and is returned as is.
+ */
+function cloneBoxed(options, seen, value, prototype)
+{
+  if(typeof value !== 'object' || value === null)
+  {
+    return value
+  }
+
+  const already = seen.get(value)
+
+  if(already)
+  {
+    return already
+  }
+
+  const clone = Object(prototype.valueOf.call(value))
+
+  if(Object.getPrototypeOf(value) !== prototype)
+  {
+    Object.setPrototypeOf(clone, Object.getPrototypeOf(value))
+  }
+
+  seen.set(value, clone)
+
+  for(const key of Reflect.ownKeys(value))
+  {
+    // the indexes and length of a boxed string are already defined
+    if(false === Object.prototype.hasOwnProperty.call(clone, key))
+    {
+      cloneProperty(options, seen, value, clone, key)
+    }
+  }
+
+  return clone
+}
+
+function cloneBlob(blob)
+{
+  return blob instanceof File
+    ? new File([blob], blob.name, { type: blob.type, lastModified: blob.lastModified })
+    : new Blob([blob], { type: blob.type })
+}
+
 function cloneProperty(options, seen, src, target, key)
 {
   const descriptor = Object.getOwnPropertyDescriptor(src, key)
@@ -171,3 +452,9 @@ function cloneProperty(options, seen, src, target, key)
     })
   }
 }
+
+class SharedArrayBufferError extends TypeError
+{
+  name = 'SharedArrayBufferError'
+  code = 'E_DEEP_CLONE_SHARED_ARRAY_BUFFER'
+}
@@ -1,6 +1,9 @@
 import assert           from 'assert'
 import { suite, test }  from 'node:test'
 import deepclone        from '@superhero/deep/clone'
+import { cloneSymbol }  from '@superhero/deep/clone'
+import { Blob, File }   from 'node:buffer'
+import util             from 'node:util'
 
 suite('@superhero/deep/clone', () =>
 {
@@ -135,4 +138,325 @@ suite('@superhero/deep/clone', () =>
     assert.deepEqual(cloned, obj, 'Cloned object with null prototype should be equal to the original')
     assert.notStrictEqual(cloned, obj, 'Not the same reference as the original')
   })
+
+  suite('Binary data', () =>
+  {
+    test('Clones typed arrays', () =>
+    {
+      const
+        uint8   = new Uint8Array([1, 2, 3]),
+        float64 = new Float64Array([1.5, 2.5]),
+        bigint  = new BigInt64Array([1n, 2n]),
+        cloned  = deepclone({ uint8, float64, bigint })
+
+      assert.deepStrictEqual(cloned, { uint8, float64, bigint })
+      assert.ok(cloned.uint8 instanceof Uint8Array)
+      assert.notStrictEqual(cloned.uint8.buffer, uint8.buffer, 'Should not share memory with the original')
+
+      cloned.uint8[0] = 42
+      assert.strictEqual(uint8[0], 1, 'Writing to the clone should not affect the original')
+    })
+
+    test('Clones ArrayBuffer and DataView', () =>
+    {
+      const
+        buffer  = new ArrayBuffer(8),
+        view    = new DataView(buffer, 2, 4)
+
+      view.setInt16(0, 42)
+
+      const cloned = deepclone(view)
+
+      assert.ok(cloned instanceof DataView)
+      assert.notStrictEqual(cloned.buffer,  buffer)
+      assert.strictEqual(cloned.byteOffset, 2)
+      assert.strictEqual(cloned.byteLength, 4)
+      assert.strictEqual(cloned.getInt16(0), 42)
+      assert.deepStrictEqual(deepclone(buffer), buffer)
+    })
+
+    test('Clones Buffer', () =>
+    {
+      const
+        buffer = Buffer.from('foobar'),
+        cloned = deepclone(buffer)
+
+      assert.ok(Buffer.isBuffer(cloned), 'Should be a Buffer')
+      assert.strictEqual(cloned.toString(), 'foobar')
+
+      cloned[0] = 0
+      assert.strictEqual(buffer.toString(), 'foobar', 'Writing to the clone should not affect the original')
+    })
+
+    test('Clones a pooled Buffer by its own bytes only', () =>
+    {
+      const
+        buffer = Buffer.from('hi'),
+        cloned = deepclone(buffer)
+
+      assert.strictEqual(buffer.buffer.byteLength, Buffer.poolSize, 'Should be a slice of the pool')
+      assert.ok(Buffer.isBuffer(cloned), 'Should be a Buffer')
+      assert.strictEqual(cloned.toString(),         'hi')
+      assert.strictEqual(cloned.buffer.byteLength,  2, 'Should not clone the pool')
+      assert.strictEqual(cloned.byteOffset,         0)
+    })
+
+    test('Clones buffers over the same memory as views over the same cloned buffer', () =>
+    {
+      const
+        buffer  = new ArrayBuffer(16),
+        a       = Buffer.from(buffer, 0, 8),
+        b       = Buffer.from(buffer, 8, 8),
+        c       = new Uint8Array(buffer, 4, 8),
+        cloned  = deepclone({ a, b, c, buffer })
+
+      assert.strictEqual(cloned.a.buffer, cloned.b.buffer, 'Buffers should share the same cloned buffer')
+      assert.strictEqual(cloned.a.buffer, cloned.c.buffer, 'A buffer and a typed array should share the same cloned buffer')
+      assert.strictEqual(cloned.a.buffer, cloned.buffer)
+      assert.notStrictEqual(cloned.buffer, buffer)
+      assert.strictEqual(cloned.b.byteOffset, 8)
+    })
+
+    test('Preserves shared buffer relationships', () =>
+    {
+      const
+        buffer  = new ArrayBuffer(8),
+        a       = new Uint8Array(buffer, 0, 4),
+        b       = new Uint16Array(buffer, 4, 2),
+        cloned  = deepclone({ a, b, buffer })
+
+      assert.strictEqual(cloned.a.buffer, cloned.b.buffer, 'Views should share the same cloned buffer')
+      assert.strictEqual(cloned.a.buffer, cloned.buffer)
+      assert.notStrictEqual(cloned.buffer, buffer)
+      assert.strictEqual(cloned.b.byteOffset, 4)
+
+      cloned.b[0] = 0xFFFF
+      assert.strictEqual(new Uint8Array(cloned.buffer)[4], 0xFF, 'Writes should be visible through the shared buffer')
+    })
+
+    test('Clones a resizable ArrayBuffer', () =>
+    {
+      const
+        buffer = new ArrayBuffer(2, { maxByteLength: 8 }),
+        cloned = deepclone(buffer)
+
+      assert.strictEqual(cloned.resizable,     true)
+      assert.strictEqual(cloned.maxByteLength, 8)
+    })
+
+    test('Applies the SharedArrayBuffer policy', () =>
+    {
+      const
+        buffer  = new SharedArrayBuffer(4),
+        view    = new Int32Array(buffer)
+
+      view[0] = 42
+
+      assert.strictEqual(deepclone(view).buffer, buffer, 'Should share the memory by default')
+
+      const copied = deepclone(view, { sharedArrayBuffer: 'copy' })
+      assert.ok(copied.buffer instanceof SharedArrayBuffer)
+      assert.notStrictEqual(copied.buffer, buffer)
+      assert.strictEqual(copied[0], 42)
+
+      assert.throws(() => deepclone(view, { sharedArrayBuffer: 'throw' }),
+      {
+        name: 'SharedArrayBufferError',
+        code: 'E_DEEP_CLONE_SHARED_ARRAY_BUFFER'
+      })
+    })
+  })
+
+  suite('Built-in objects', () =>
+  {
+    test('Clones errors', () =>
+    {
+      class CustomError extends TypeError
+      {
+        name = 'CustomError'
+        code = 'E_CUSTOM'
+      }
+
+      const
+        error   = new CustomError('foo'),
+        cloned  = deepclone(error)
+
+      assert.notStrictEqual(cloned, error)
+      assert.ok(cloned instanceof CustomError,  'Should keep the prototype chain')
+      assert.ok(cloned instanceof TypeError,    'Should keep the prototype chain')
+      assert.ok(util.types.isNativeError(cloned), 'Should be a native error')
+      assert.strictEqual(cloned.message,  'foo')
+      assert.strictEqual(cloned.stack,    error.stack)
+      assert.strictEqual(cloned.name,     'CustomError')
+      assert.strictEqual(cloned.code,     'E_CUSTOM')
+      assert.strictEqual(Object.getOwnPropertyDescriptor(cloned, 'message').enumerable, false)
+    })
+
+    test('Clones error causes and aggregated errors', () =>
+    {
+      const
+        cause   = new RangeError('bar'),
+        error   = new AggregateError([new Error('baz'), cause], 'foo', { cause }),
+        cloned  = deepclone(error)
+
+      assert.ok(cloned instanceof AggregateError)
+      assert.ok(cloned.cause instanceof RangeError)
+      assert.notStrictEqual(cloned.cause, cause)
+      assert.strictEqual(cloned.cause.message, 'bar')
+      assert.strictEqual(cloned.errors.length, 2)
+      assert.strictEqual(cloned.errors[0].message, 'baz')
+      assert.strictEqual(cloned.errors[1], cloned.cause, 'Should preserve shared references')
+    })
+
+    test('Clones errors with circular causes', () =>
+    {
+      const error = new Error('foo')
+      error.cause = error
+
+      const cloned = deepclone(error)
+
+      assert.notStrictEqual(cloned, error)
+      assert.strictEqual(cloned.cause, cloned)
+    })
+
+    test('Does not add properties missing on the original error', () =>
+    {
+      const error = new Error
+      delete error.stack
+
+      const cloned = deepclone(error)
+
+      assert.deepStrictEqual(Reflect.ownKeys(cloned), Reflect.ownKeys(error))
+    })
+
+    test('Clones boxed primitives', () =>
+    {
+      const
+        number  = new Number(1),
+        string  = new String('foo'),
+        boolean = new Boolean(false),
+        bigint  = Object(1n),
+        symbol  = Object(Symbol.for('foo')),
+        cloned  = deepclone({ number, string, boolean, bigint, symbol })
+
+      assert.deepStrictEqual(cloned, { number, string, boolean, bigint, symbol })
+      assert.ok(cloned.number instanceof Number)
+      assert.notStrictEqual(cloned.number,  number)
+      assert.strictEqual(cloned.string.valueOf(), 'foo')
+      assert.strictEqual(cloned.boolean.valueOf(), false)
+      assert.strictEqual(cloned.bigint.valueOf(),  1n)
+      assert.strictEqual(cloned.symbol.valueOf(),  Symbol.for('foo'))
+      assert.strictEqual(deepclone(1), 1, 'Primitives should be returned as is')
+    })
+
+    test('Clones URL and URLSearchParams', () =>
+    {
+      const
+        url     = new URL('https://example.com/foo?bar=baz'),
+        params  = new URLSearchParams('foo=bar&foo=baz'),
+        cloned  = deepclone({ url, params })
+
+      assert.ok(cloned.url instanceof URL)
+      assert.notStrictEqual(cloned.url, url)
+      assert.strictEqual(cloned.url.href, url.href)
+
+      cloned.url.pathname = '/qux'
+      assert.strictEqual(url.pathname, '/foo', 'Mutating the clone should not affect the original')
+
+      assert.ok(cloned.params instanceof URLSearchParams)
+      assert.notStrictEqual(cloned.params, params)
+      assert.deepStrictEqual(cloned.params.getAll('foo'), ['bar', 'baz'])
+    })
+
+    test('Clones Blob and File', async () =>
+    {
+      const
+        blob    = new Blob(['foo'], { type: 'text/plain' }),
+        file    = new File(['bar'], 'bar.txt', { type: 'text/plain', lastModified: 42 }),
+        cloned  = deepclone({ blob, file })
+
+      assert.ok(cloned.blob instanceof Blob)
+      assert.notStrictEqual(cloned.blob, blob)
+      assert.strictEqual(cloned.blob.type, 'text/plain')
+      assert.strictEqual(await cloned.blob.text(), 'foo')
+
+      assert.ok(cloned.file instanceof File)
+      assert.strictEqual(cloned.file.name, 'bar.txt')
+      assert.strictEqual(cloned.file.lastModified, 42)
+      assert.strictEqual(await cloned.file.text(), 'bar')
+    })
+  })
+
+  suite('Clone protocol', () =>
+  {
+    class Counter
+    {
+      #state = { count: 0 }
+
+      get count()
+      {
+        return this.#state.count
+      }
+
+      set parent(parent)
+      {
+        this.#state.parent = parent
+      }
+
+      get parent()
+      {
+        return this.#state.parent
+      }
+
+      increment()
+      {
+        this.#state.count++
+      }
+
+      [cloneSymbol](clone, seen)
+      {
+        const counter = new Counter
+        seen.set(this, counter)
+        counter.#state = clone(this.#state)
+        return counter
+      }
+    }
+
+    test('Clones private state through the clone protocol', () =>
+    {
+      const counter = new Counter
+      counter.increment()
+
+      const cloned = deepclone({ counter })
+
+      assert.ok(cloned.counter instanceof Counter)
+      assert.notStrictEqual(cloned.counter, counter)
+      assert.strictEqual(cloned.counter.count, 1)
+
+      cloned.counter.increment()
+      assert.strictEqual(counter.count, 1, 'Should not share state with the original')
+    })
+
+    test('Participates in the circular reference handling', () =>
+    {
+      const
+        counter = new Counter,
+        root    = { counter }
+
+      counter.parent = root
+
+      const cloned = deepclone(root)
+
+      assert.strictEqual(cloned.counter.parent, cloned, 'Should reference the cloned root')
+    })
+
+    test('Preserves shared references', () =>
+    {
+      const
+        counter = new Counter,
+        cloned  = deepclone([counter, counter])
+
+      assert.strictEqual(cloned[0], cloned[1])
+    })
+  })
 })
@@ -0,0 +1,316 @@
+import deepclone from '@superhero/deep/clone'
+
+/**
+ * Describes the changes needed to transform "a" into "b" as a list of
+ * RFC 6902 JSON Patch operations: "add", "remove" and "replace".
+ *
+ * Paths are expressed as RFC 6901 JSON Pointers. Plain objects are compared
+ * by their own enumerable string keys, arrays by index, maps by key and sets
+ * by value. Dates and regular expressions are compared by value.
+ *
+ * @example diffing { foo: 1, bar: 2 } and { foo: 1, baz: 3 } results in
+ * [{ op: 'remove', path: '/bar' }, { op: 'add', path: '/baz', value: 3 }]
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Set members have no key, a removed member is addressed by its index in the
+ * iteration order of the set, an added member is appended using the "-"
+ * segment, same as appending to an array.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A map key is addressed by its string representation, as a reference token.
+ * A key that an operation must address throws an UnsupportedKeyError if it
+ * can not be patched back by its type, which is if the key is an object, a
+ * function or a symbol, if other keys have the same string representation,
+ * or if an added key is not a string.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * When the types differ, the value is replaced.
+ *
+ * @example diffing { foo: [] } and { foo: {} } results in
+ * [{ op: 'replace', path: '/foo', value: {} }]
+ */
+export default function diff(a, b)
+{
+  const
+    seen        = new WeakMap,
+    operations  = []
+
+  diffAandB(a, b, '', seen, operations)
+
+  return operations
+}
+
+function diffAandB(a, b, path, seen, operations)
+{
+  if(Object.is(a, b))
+  {
+    return
+  }
+
+  const
+    aType = Object.prototype.toString.call(a),
+    bType = Object.prototype.toString.call(b)
+
+  if(aType !== bType
+  || typeof a !== 'object' || a === null
+  || typeof b !== 'object' || b === null)
+  {
+    return replace(path, b, operations)
+  }
+
+  switch(aType)
+  {
+    case '[object Array]'   : return diffArray(a, b, path, seen, operations)
+    case '[object Object]'  : return diffObject(a, b, path, seen, operations)
+    case '[object Set]'     : return diffSet(a, b, path, seen, operations)
+    case '[object Map]'     : return diffMap(a, b, path, seen, operations)
+    case '[object Date]'    : return diffDate(a, b, path, operations)
+    case '[object RegExp]'  : return diffRegExp(a, b, path, operations)
+    default                 : return replace(path, b, operations)
+  }
+}
+
+function diffArray(a, b, path, seen, operations)
+{
+  if(hasSeen(a, b, seen))
+  {
+    return
+  }
+
+  const length = Math.min(a.length, b.length)
+
+  for(let i = 0; i < length; i++)
+  {
+    diffAandB(a[i], b[i], path + '/' + i, seen, operations)
+  }
+
+  for(let i = length; i < b.length; i++)
+  {
+    operations.push({ op: 'add', path: path + '/' + i, value: deepclone(b[i]) })
+  }
+
+  // removed in descending order, so that each index is still valid when
+  // the operations are applied in sequence
+  for(let i = a.length - 1; i >= length; i--)
+  {
+    operations.push({ op: 'remove', path: path + '/' + i })
+  }
+}
+
+function diffObject(a, b, path, seen, operations)
+{
+  if(Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+  {
+    return replace(path, b, operations)
+  }
+
+  if(hasSeen(a, b, seen))
+  {
+    return
+  }
+
+  for(const key of Object.keys(a))
+  {
+    if(false === Object.prototype.propertyIsEnumerable.call(b, key))
+    {
+      operations.push({ op: 'remove', path: path + '/' + encode(key) })
+    }
+  }
+
+  for(const key of Object.keys(b))
+  {
+    const pointer = path + '/' + encode(key)
+
+    if(Object.prototype.propertyIsEnumerable.call(a, key))
+    {
+      diffAandB(a[key], b[key], pointer, seen, operations)
+    }
+    else
+    {
+      operations.push({ op: 'add', path: pointer, value: deepclone(b[key]) })
+    }
+  }
+}
+
+function diffSet(a, b, path, seen, operations)
+{
+  if(hasSeen(a, b, seen))
+  {
+    return
+  }
+
+  const removed = []
+
+  let i = 0
+
+  for(const value of a)
+  {
+    if(false === b.has(value))
+    {
+      removed.unshift(i)
+    }
+
+    i++
+  }
+
+  for(const index of removed)
+  {
+    operations.push({ op: 'remove', path: path + '/' + index })
+  }
+
+  for(const value of b)
+  {
+    if(false === a.has(value))
+    {
+      operations.push({ op: 'add', path: path + '/-', value: deepclone(value) })
+    }
+  }
+}
+
+function diffMap(a, b, path, seen, operations)
+{
+  if(hasSeen(a, b, seen))
+  {
+    return
+  }
+
+  let tokens
+
+  // a key is only asserted when an operation addresses it
+  const address = (key, added = false) =>
+  {
+    tokens = tokens ?? countTokens(a, b)
+    assertKey(key, added, tokens, path)
+    return path + '/' + encode(String(key))
+  }
+
+  for(const key of a.keys())
+  {
+    if(false === b.has(key))
+    {
+      operations.push({ op: 'remove', path: address(key) })
+    }
+  }
+
+  for(const [key, value] of b)
+  {
+    if(a.has(key))
+    {
+      const nested = []
+
+      diffAandB(a.get(key), value, path + '/' + encode(String(key)), seen, nested)
+
+      if(nested.length)
+      {
+        address(key)
+        operations.push(...nested)
+      }
+    }
+    else
+    {
+      operations.push({ op: 'add', path: address(key, true), value: deepclone(value) })
+    }
+  }
+}
+
+function diffDate(a, b, path, operations)
+{
+  if(false === Object.is(a.getTime(), b.getTime()))
+  {
+    replace(path, b, operations)
+  }
+}
+
+function diffRegExp(a, b, path, operations)
+{
+  if(a.source !== b.source
+  || a.flags  !== b.flags)
+  {
+    replace(path, b, operations)
+  }
+}
+
+function replace(path, value, operations)
+{
+  operations.push({ op: 'replace', path, value: deepclone(value) })
+}
+
+/**
+ * Escapes a key to a JSON Pointer reference token, RFC 6901 section 3.
+ */
+function encode(key)
+{
+  return key.replaceAll('~', '~0').replaceAll('/', '~1')
+}
+
+/**
+ * A pair that has already been visited is either fully diffed, or is in
+ * the process of being diffed further up the stack, meaning the structure
+ * is circular. In both cases there is nothing more to add.
+ */
+function hasSeen(a, b, seen)
+{
+  if(false === seen.has(a))
+  {
+    seen.set(a, new WeakSet)
+  }
+  else if(seen.get(a).has(b))
+  {
+    return true
+  }
+
+  seen.get(a).add(b)
+
+  return false
+}
+
+/**
+ * Counts the keys of both maps by their string representation, to find the
+ * keys that share the same reference token.
+ */
+function countTokens(a, b)
+{
+  const tokens = new Map
+
+  for(const key of new Set([...a.keys(), ...b.keys()]))
+  {
+    const token = String(key)
+    tokens.set(token, (tokens.get(token) ?? 0) + 1)
+  }
+
+  return tokens
+}
+
+/**
+ * An existing key is found by its string representation when patched, an
+ * added key is added as a string.
+ */
+function assertKey(key, added, tokens, path)
+{
+  if(typeof key === 'symbol'
+  || typeof key === 'function'
+  || (typeof key === 'object' && null !== key))
+  {
+    throw new UnsupportedKeyError(`Unsupported map key of type "${typeof key}" at "${path}", the key has no reference token`)
+  }
+
+  if(tokens.get(String(key)) > 1)
+  {
+    throw new UnsupportedKeyError(`Unsupported map key "${String(key)}" at "${path}", other keys have the same reference token`)
+  }
+
+  if(added
+  && typeof key !== 'string')
+  {
+    throw new UnsupportedKeyError(`Unsupported map key of type "${typeof key}" at "${path}", an added key must be a string`)
+  }
+}
+
+class UnsupportedKeyError extends TypeError
+{
+  name = 'UnsupportedKeyError'
+  code = 'E_DEEP_DIFF_UNSUPPORTED_KEY'
+}
@@ -0,0 +1,170 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepdiff         from '@superhero/deep/diff'
+
+suite('@superhero/deep/diff', () =>
+{
+  test('Returns no operations for equal structures', () =>
+  {
+    const
+      a = { foo: { bar: [1, 2, 3] }, baz: new Date(0) },
+      b = { foo: { bar: [1, 2, 3] }, baz: new Date(0) }
+
+    assert.deepStrictEqual(deepdiff(a, b), [], 'Equal structures should not produce any operation')
+  })
+
+  test('Diffs objects by key', () =>
+  {
+    const
+      a         = { foo: 1, bar: 2 },
+      b         = { foo: 3, baz: 4 },
+      expected  =
+      [
+        { op: 'remove',   path: '/bar' },
+        { op: 'replace',  path: '/foo', value: 3 },
+        { op: 'add',      path: '/baz', value: 4 }
+      ]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+  })
+
+  test('Diffs nested objects', () =>
+  {
+    const
+      a         = { foo: { bar: { baz: 'qux' } } },
+      b         = { foo: { bar: { baz: 'quux' } } },
+      expected  = [{ op: 'replace', path: '/foo/bar/baz', value: 'quux' }]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+  })
+
+  test('Diffs arrays by index', () =>
+  {
+    assert.deepStrictEqual(deepdiff([1, 2], [1, 3, 4]),
+    [
+      { op: 'replace',  path: '/1', value: 3 },
+      { op: 'add',      path: '/2', value: 4 }
+    ])
+
+    assert.deepStrictEqual(deepdiff([1, 2, 3, 4], [1]),
+    [
+      { op: 'remove', path: '/3' },
+      { op: 'remove', path: '/2' },
+      { op: 'remove', path: '/1' }
+    ], 'Removed indexes should be in descending order')
+  })
+
+  test('Replaces on type mismatch', () =>
+  {
+    const
+      a         = { foo: [1, 2] },
+      b         = { foo: { bar: 1 } },
+      expected  = [{ op: 'replace', path: '/foo', value: { bar: 1 } }]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+    assert.deepStrictEqual(deepdiff('foo', 42), [{ op: 'replace', path: '', value: 42 }])
+  })
+
+  test('Diffs maps by key', () =>
+  {
+    const
+      a         = new Map([['foo', { bar: 1 }], ['baz', 2]]),
+      b         = new Map([['foo', { bar: 2 }], ['qux', 3]]),
+      expected  =
+      [
+        { op: 'remove',   path: '/baz' },
+        { op: 'replace',  path: '/foo/bar', value: 2 },
+        { op: 'add',      path: '/qux', value: 3 }
+      ]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+  })
+
+  test('Diffs maps by keys that are not strings', () =>
+  {
+    const key = { id: 1 }
+
+    assert.deepStrictEqual(deepdiff({ foo: new Map([[1, 'a']]) },   { foo: new Map([[1, 'a']]) }),   [])
+    assert.deepStrictEqual(deepdiff({ foo: new Map([[key, 'a']]) }, { foo: new Map([[key, 'a']]) }), [], 'Should not address a key without changes')
+    assert.deepStrictEqual(deepdiff({ foo: new Map([[1, 'a'], [2, 'b']]) }, { foo: new Map([[1, 'c']]) }),
+    [
+      { op: 'remove',  path: '/foo/2' },
+      { op: 'replace', path: '/foo/1', value: 'c' }
+    ])
+  })
+
+  test('Throws on map keys that can not be addressed', () =>
+  {
+    const error = { name: 'UnsupportedKeyError', code: 'E_DEEP_DIFF_UNSUPPORTED_KEY' }
+
+    assert.throws(() => deepdiff(new Map([[{ id: 1 }, 'a']]),  new Map),                           error, 'An object key')
+    assert.throws(() => deepdiff(new Map([[Symbol('a'), 'a']]), new Map),                          error, 'A symbol key')
+    assert.throws(() => deepdiff(new Map([[1, 'a'], ['1', 'b']]), new Map([[1, 'c'], ['1', 'b']])), error, 'Keys with the same string representation')
+    assert.throws(() => deepdiff(new Map, new Map([[1, 'a']])),                                    error, 'An added key that is not a string')
+  })
+
+  test('Diffs sets by value', () =>
+  {
+    const
+      a         = new Set([1, 2, 3]),
+      b         = new Set([1, 4]),
+      expected  =
+      [
+        { op: 'remove', path: '/2' },
+        { op: 'remove', path: '/1' },
+        { op: 'add',    path: '/-', value: 4 }
+      ]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+  })
+
+  test('Diffs dates and regular expressions by value', () =>
+  {
+    const
+      a = { date: new Date(0), regexp: /foo/g },
+      b = { date: new Date(1), regexp: /foo/i }
+
+    assert.deepStrictEqual(deepdiff(a, b),
+    [
+      { op: 'replace', path: '/date',   value: new Date(1) },
+      { op: 'replace', path: '/regexp', value: /foo/i }
+    ])
+  })
+
+  test('Escapes keys to JSON Pointer reference tokens', () =>
+  {
+    const
+      a         = {},
+      b         = { 'foo/bar': 1, 'baz~qux': 2 },
+      expected  =
+      [
+        { op: 'add', path: '/foo~1bar', value: 1 },
+        { op: 'add', path: '/baz~0qux', value: 2 }
+      ]
+
+    assert.deepStrictEqual(deepdiff(a, b), expected)
+  })
+
+  test('Operation values do not share reference with the second argument', () =>
+  {
+    const
+      a           = {},
+      b           = { foo: { bar: 1 } },
+      [operation] = deepdiff(a, b)
+
+    assert.deepStrictEqual(operation.value, b.foo)
+    assert.notStrictEqual(operation.value,  b.foo)
+  })
+
+  test('Handles circular references', () =>
+  {
+    const
+      a = { foo: 1 },
+      b = { foo: 2 }
+
+    a.self = a
+    b.self = b
+
+    assert.deepStrictEqual(deepdiff(a, b), [{ op: 'replace', path: '/foo', value: 2 }])
+  })
+})
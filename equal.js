@@ -1,31 +1,609 @@
 import assert from 'node:assert'
-import util   from 'node:util'
+import match  from '@superhero/deep/match'
 
-export default function equal(a, b, strict = true) 
+/**
+ * Deeply compares two values, strictly by default, or loosely if the third
+ * argument is false.
+ *
+ * @example equal({ foo: 1 }, { foo: '1' }, false) results in true
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The third argument can also be an options object, to customise the
+ * comparison:
+ * - "strict"             compare strictly, true by default.
+ * - "epsilon"            the tolerance when comparing numbers, 0 by default.
+ * - "ignore"             a list of path patterns to not compare.
+ * - "undefinedAsMissing" treat a key with an undefined value as missing.
+ * - "unordered"          compare arrays regardless of the order of the items.
+ * - "comparators"        path patterns mapped to a comparator.
+ * - "types"              types mapped to a comparator, where the type is a
+ *                        constructor, or a typeof string, such as "number".
+ * - "descriptors"        compare the property descriptors of all own keys,
+ *                        the prototypes, and if the values are extensible,
+ *                        sealed or frozen.
+ *
+ * A comparator is called as comparator(a, b, path), and returns a boolean.
+ * The path patterns are matched by the match function.
+ *
+ * @example equal(a, b, { ignore: ['**.updatedAt'], epsilon: 1e-9 })
+ */
+export default function equal(a, b, options = true) 
 {
-  assert.strictEqual(typeof strict, 'boolean', 'Third argument "loose" must be a boolean')
+  assert.ok(typeof options === 'boolean' || (typeof options === 'object' && null !== options),
+    'Third argument must be a boolean, or an options object')
 
-  return strict
-    ? util.isDeepStrictEqual(a, b)
-    : isDeepLooseEqual(a, b)
+  options = typeof options === 'boolean'
+          ? { strict: options }
+          : { ...options }
+
+  options.limit = 1
+
+  return 0 === explain(a, b, options).length
 }
 
-function isDeepLooseEqual(a, b)
+/**
+ * Explains why two values are not equal, by listing the differences found
+ * when deeply comparing the values. Each difference describes the path to
+ * the difference, both values, and the reason:
+ * - "type"       the values are of different types.
+ * - "value"      the values are of the same type, but differ.
+ * - "missing"    the key, or the member, is missing on one of the sides.
+ * - "prototype"  the values have different prototypes.
+ * - "descriptor" the key is enumerable on one side, but not the other, or
+ *                the property descriptors differ, when comparing with the
+ *                option "descriptors", then a and b are the descriptors.
+ * - "integrity"  the values differ in being extensible, sealed or frozen.
+ *
+ * @example explain({ foo: 1 }, { foo: 2 }) results in
+ * [{ path: ['foo'], reason: 'value', a: 1, b: 2 }]
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The values are compared by the same rules, and options, as the equal
+ * function. The option "limit" defines the maximum number of differences to
+ * collect.
+ *
+ * @example explain(a, b, { strict: false, limit: 10 })
+ */
+export function explain(a, b, options = {})
 {
-  try
+  options.strict              = options.strict              ?? true
+  options.limit               = options.limit               ?? Infinity
+  options.epsilon             = options.epsilon             ?? 0
+  options.ignore              = options.ignore              ?? []
+  options.undefinedAsMissing  = options.undefinedAsMissing  ?? false
+  options.unordered           = options.unordered           ?? false
+  options.descriptors         = options.descriptors         ?? false
+
+  assert.strictEqual(typeof options.strict,   'boolean', 'Option "strict" must be a boolean')
+  assert.strictEqual(typeof options.epsilon,  'number',  'Option "epsilon" must be a number')
+  assert.ok(Array.isArray(options.ignore), 'Option "ignore" must be an array of path patterns')
+
+  const state = { options, seen: new WeakMap, differences: [] }
+
+  compare(a, b, [], state)
+
+  return state.differences
+}
+
+function compare(a, b, path, state)
+{
+  if(state.differences.length >= state.options.limit
+  || isIgnored(path, state))
   {
-    assert.deepEqual(a, b)
-    return true
+    return
+  }
+
+  const comparator = findComparator(a, b, path, state)
+
+  if(comparator)
+  {
+    if(false === comparator(a, b, path))
+    {
+      report(path, 'value', a, b, state)
+    }
+    return
+  }
+
+  if(state.options.strict
+  ? Object.is(a, b)
+  : a === b || (isPrimitive(a) && isPrimitive(b) && (a == b || (Number.isNaN(a) && Number.isNaN(b)))))
+  {
+    return
+  }
+
+  if(isPrimitive(a)
+  || isPrimitive(b))
+  {
+    if(state.options.epsilon > 0
+    && typeof a === 'number'
+    && typeof b === 'number'
+    && Math.abs(a - b) <= state.options.epsilon)
+    {
+      return
+    }
+
+    const reason = typeof a === typeof b && (a === null) === (b === null)
+                 ? 'value'
+                 : 'type'
+
+    return report(path, reason, a, b, state)
+  }
+
+  const
+    aType = Object.prototype.toString.call(a),
+    bType = Object.prototype.toString.call(b)
+
+  if(aType !== bType)
+  {
+    return report(path, 'type', a, b, state)
+  }
+
+  if((state.options.strict || state.options.descriptors)
+  && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+  {
+    return report(path, 'prototype', a, b, state)
+  }
+
+  if(hasSeen(a, b, state))
+  {
+    return
+  }
+
+  if(state.options.descriptors)
+  {
+    compareIntegrity(a, b, path, state)
+  }
+
+  switch(aType)
+  {
+    case '[object Date]':
+    {
+      if(false === Object.is(a.getTime(), b.getTime()))
+      {
+        return report(path, 'value', a, b, state)
+      }
+      break
+    }
+    case '[object RegExp]':
+    {
+      if(a.source !== b.source
+      || a.flags  !== b.flags
+      || (state.options.strict && a.lastIndex !== b.lastIndex))
+      {
+        return report(path, 'value', a, b, state)
+      }
+      break
+    }
+    case '[object Error]':
+    {
+      if(a.name     !== b.name
+      || a.message  !== b.message)
+      {
+        return report(path, 'value', a, b, state)
+      }
+
+      if(false === state.options.descriptors)
+      {
+        compareErrors(a, b, path, state)
+      }
+      break
+    }
+    case '[object Number]'  :
+    case '[object String]'  :
+    case '[object Boolean]' :
+    case '[object BigInt]'  :
+    case '[object Symbol]'  :
+    {
+      if(false === Object.is(a.valueOf(), b.valueOf()))
+      {
+        return report(path, 'value', a, b, state)
+      }
+      break
+    }
+    case '[object Array]':
+    {
+      if(state.options.unordered)
+      {
+        return compareUnordered(a, b, path, state)
+      }
+
+      // trailing holes are not enumerable keys, but differ by the length
+      if(state.options.strict
+      && a.length !== b.length)
+      {
+        report([...path, 'length'], 'value', a.length, b.length, state)
+      }
+      break
+    }
+    case '[object Map]':
+    {
+      compareMap(a, b, path, state)
+      break
+    }
+    case '[object Set]':
+    {
+      compareSet(a, b, path, state)
+      break
+    }
+    default:
+    {
+      if(ArrayBuffer.isView(a)
+      || a instanceof ArrayBuffer
+      || a instanceof SharedArrayBuffer)
+      {
+        return compareBinary(a, b, path, state)
+      }
+    }
   }
-  catch(error)
+
+  compareKeys(a, b, path, state)
+}
+
+function compareKeys(a, b, path, state)
+{
+  if(state.options.descriptors)
   {
-    if(error instanceof assert.AssertionError)
+    return compareDescriptors(a, b, path, state)
+  }
+
+  const
+    aKeys = new Set(enumerableKeys(a, state)),
+    bKeys = new Set(enumerableKeys(b, state))
+
+  for(const key of aKeys)
+  {
+    if(bKeys.has(key))
     {
-      return false
+      compare(a[key], b[key], [...path, key], state)
     }
     else
     {
-      throw error
+      const reason = isHidden(b, key) ? 'descriptor' : 'missing'
+      report([...path, key], reason, a[key], b[key], state)
+    }
+  }
+
+  for(const key of bKeys)
+  {
+    if(false === aKeys.has(key))
+    {
+      const reason = isHidden(a, key) ? 'descriptor' : 'missing'
+      report([...path, key], reason, a[key], b[key], state)
+    }
+  }
+}
+
+/**
+ * Compares all own keys, including the keys that are not enumerable, by
+ * their property descriptors. Data properties are compared by their values,
+ * accessors are compared by the identity of the getter and the setter.
+ */
+function compareDescriptors(a, b, path, state)
+{
+  const
+    aKeys = new Set(ownKeys(a, state)),
+    bKeys = new Set(ownKeys(b, state))
+
+  for(const key of aKeys)
+  {
+    const da = Object.getOwnPropertyDescriptor(a, key)
+
+    if(false === bKeys.has(key))
+    {
+      report([...path, key], 'missing', da.value, undefined, state)
+      continue
+    }
+
+    const db = Object.getOwnPropertyDescriptor(b, key)
+
+    if(('value' in da) !== ('value' in db)
+    || da.enumerable    !== db.enumerable
+    || da.configurable  !== db.configurable
+    || da.writable      !== db.writable
+    || da.get           !== db.get
+    || da.set           !== db.set)
+    {
+      report([...path, key], 'descriptor', da, db, state)
+    }
+    else if('value' in da)
+    {
+      compare(da.value, db.value, [...path, key], state)
+    }
+  }
+
+  for(const key of bKeys)
+  {
+    if(false === aKeys.has(key))
+    {
+      report([...path, key], 'missing', undefined, Object.getOwnPropertyDescriptor(b, key).value, state)
     }
   }
-}
\ No newline at end of file
+}
+
+function compareIntegrity(a, b, path, state)
+{
+  if(Object.isExtensible(a) !== Object.isExtensible(b)
+  || Object.isSealed(a)     !== Object.isSealed(b)
+  || Object.isFrozen(a)     !== Object.isFrozen(b))
+  {
+    report(path, 'integrity', a, b, state)
+  }
+}
+
+/**
+ * A key that is own, but not enumerable, is hidden from the comparison.
+ */
+function isHidden(value, key)
+{
+  return Object.prototype.hasOwnProperty.call(value, key)
+      && false === Object.prototype.propertyIsEnumerable.call(value, key)
+}
+
+/**
+ * The cause, and the errors of an aggregate error, are not enumerable, and
+ * are compared as well, unless enumerable and then compared with the keys.
+ */
+function compareErrors(a, b, path, state)
+{
+  for(const key of ['cause', 'errors'])
+  {
+    if(Object.prototype.propertyIsEnumerable.call(a, key)
+    || Object.prototype.propertyIsEnumerable.call(b, key))
+    {
+      continue
+    }
+
+    const
+      aHas = Object.hasOwn(a, key),
+      bHas = Object.hasOwn(b, key)
+
+    if(aHas && bHas)
+    {
+      compare(a[key], b[key], [...path, key], state)
+    }
+    else if(aHas || bHas)
+    {
+      report([...path, key], 'missing', a[key], b[key], state)
+    }
+  }
+}
+
+function compareMap(a, b, path, state)
+{
+  const unmatched = new Set([...b.keys()].filter((key) => false === a.has(key)))
+
+  for(const [key, value] of a)
+  {
+    if(b.has(key))
+    {
+      compare(value, b.get(key), [...path, key], state)
+      continue
+    }
+
+    // a key that is an object can be matched by an equal key
+    const found = [...unmatched].find((bKey) => isEqual(key, bKey, path, state)
+                                            && isEqual(value, b.get(bKey), [...path, key], state))
+
+    if(undefined === found)
+    {
+      report([...path, key], 'missing', value, undefined, state)
+    }
+    else
+    {
+      unmatched.delete(found)
+    }
+  }
+
+  for(const key of unmatched)
+  {
+    report([...path, key], 'missing', undefined, b.get(key), state)
+  }
+}
+
+/**
+ * A member of a set has no key, a missing member is reported with the path
+ * of the set.
+ */
+function compareSet(a, b, path, state)
+{
+  const unmatched = new Set([...b].filter((member) => false === a.has(member)))
+
+  for(const member of a)
+  {
+    if(b.has(member))
+    {
+      continue
+    }
+
+    // a member that is an object can be matched by an equal member
+    const found = [...unmatched].find((bMember) => isEqual(member, bMember, path, state))
+
+    if(undefined === found)
+    {
+      report(path, 'missing', member, undefined, state)
+    }
+    else
+    {
+      unmatched.delete(found)
+    }
+  }
+
+  for(const member of unmatched)
+  {
+    report(path, 'missing', undefined, member, state)
+  }
+}
+
+/**
+ * Compares the items of the arrays regardless of their order, a missing item
+ * is reported with the path of the array.
+ */
+function compareUnordered(a, b, path, state)
+{
+  const unmatched = [...b]
+
+  for(const item of a)
+  {
+    const i = unmatched.findIndex((bItem) => isEqual(item, bItem, path, state))
+
+    if(-1 === i)
+    {
+      report(path, 'missing', item, undefined, state)
+    }
+    else
+    {
+      unmatched.splice(i, 1)
+    }
+  }
+
+  for(const item of unmatched)
+  {
+    report(path, 'missing', undefined, item, state)
+  }
+}
+
+function compareBinary(a, b, path, state)
+{
+  const
+    aBytes = toBytes(a),
+    bBytes = toBytes(b)
+
+  if(aBytes.length !== bBytes.length
+  || aBytes.some((byte, i) => byte !== bBytes[i]))
+  {
+    report(path, 'value', a, b, state)
+  }
+}
+
+function toBytes(value)
+{
+  return ArrayBuffer.isView(value)
+    ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+    : new Uint8Array(value)
+}
+
+/**
+ * Compares the values in isolation, to find if they are equal, without
+ * reporting any difference.
+ */
+function isEqual(a, b, path, state)
+{
+  const isolated = { options: { ...state.options, limit: 1 }, seen: new WeakMap, differences: [] }
+  compare(a, b, path, isolated)
+  return 0 === isolated.differences.length
+}
+
+/**
+ * Functions are not objects in this sense, same as by the loose comparison
+ * of node:assert.
+ */
+function isPrimitive(value)
+{
+  return typeof value !== 'object' || value === null
+}
+
+function isIgnored(path, state)
+{
+  return state.options.ignore.some((pattern) => match(path, pattern))
+}
+
+/**
+ * A comparator defined for the path has precedence over a comparator defined
+ * for the type of the values.
+ */
+function findComparator(a, b, path, state)
+{
+  for(const [pattern, comparator] of entries(state.options.comparators))
+  {
+    if(match(path, pattern))
+    {
+      return comparator
+    }
+  }
+
+  for(const [type, comparator] of entries(state.options.types))
+  {
+    if(typeof type === 'function'
+    ? a instanceof type && b instanceof type
+    : typeof a === type && typeof b === type)
+    {
+      return comparator
+    }
+  }
+}
+
+function entries(mapped)
+{
+  if(undefined === mapped)
+  {
+    return []
+  }
+
+  return mapped instanceof Map
+    ? mapped
+    : Object.entries(mapped)
+}
+
+function enumerableKeys(value, state)
+{
+  const keys = Object.keys(value).filter((key) => false === state.options.undefinedAsMissing
+                                               || undefined !== value[key])
+
+  if(state.options.strict)
+  {
+    for(const symbol of Object.getOwnPropertySymbols(value))
+    {
+      if(Object.prototype.propertyIsEnumerable.call(value, symbol)
+      && (false === state.options.undefinedAsMissing || undefined !== value[symbol]))
+      {
+        keys.push(symbol)
+      }
+    }
+  }
+
+  return keys
+}
+
+function ownKeys(value, state)
+{
+  return Reflect.ownKeys(value).filter((key) =>
+  {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+
+    return false === state.options.undefinedAsMissing
+        || false === ('value' in descriptor)
+        || undefined !== descriptor.value
+  })
+}
+
+function report(path, reason, a, b, state)
+{
+  if(state.differences.length < state.options.limit
+  && false === isIgnored(path, state))
+  {
+    state.differences.push({ path, reason, a, b })
+  }
+}
+
+/**
+ * A pair that has already been visited is either fully compared, or is in
+ * the process of being compared further up the stack, meaning the structure
+ * is circular. In both cases the differences are already accounted for.
+ */
+function hasSeen(a, b, state)
+{
+  if(false === state.seen.has(a))
+  {
+    state.seen.set(a, new WeakSet)
+  }
+  else if(state.seen.get(a).has(b))
+  {
+    return true
+  }
+
+  state.seen.get(a).add(b)
+
+  return false
+}
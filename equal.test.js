@@ -1,6 +1,9 @@
 import assert          from 'assert'
 import { suite, test } from 'node:test'
+import util            from 'node:util'
 import deepequal       from './equal.js'
+import { explain }     from './equal.js'
+import deepclone       from './clone.js'
 
 suite('@superhero/deep/equal', () =>
 {
@@ -59,4 +62,381 @@ suite('@superhero/deep/equal', () =>
     assert.throws(() => deepequal({}, {}, 'loose'), 
     { name : 'AssertionError' })
   })
+
+  test('Accepts an options object as the third argument', () =>
+  {
+    const a = { foo: 'bar', baz: 42 }
+    const b = { foo: 'bar', baz: '42' }
+
+    assert.strictEqual(deepequal(a, b, { strict: true }),  false)
+    assert.strictEqual(deepequal(a, b, { strict: false }), true)
+    assert.throws(() => deepequal(a, b, null), { name : 'AssertionError' })
+  })
+
+  suite('Options', () =>
+  {
+    test('Compares numbers within the epsilon', () =>
+    {
+      assert.strictEqual(deepequal({ foo: 0.1 + 0.2 }, { foo: 0.3 }),                      false)
+      assert.strictEqual(deepequal({ foo: 0.1 + 0.2 }, { foo: 0.3 }, { epsilon: 1e-9 }),   true)
+      assert.strictEqual(deepequal({ foo: 0.31 },      { foo: 0.3 }, { epsilon: 1e-9 }),   false)
+    })
+
+    test('Ignores paths', () =>
+    {
+      const
+        a = { id: 1, foo: { updatedAt: 1, bar: 1 }, baz: [{ updatedAt: 1 }] },
+        b = { id: 2, foo: { updatedAt: 2, bar: 1 }, baz: [{}] },
+        c = { id: 2, foo: { updatedAt: 2, bar: 2 }, baz: [{}] }
+
+      assert.strictEqual(deepequal(a, b, { ignore: ['id', '**.updatedAt'] }), true)
+      assert.strictEqual(deepequal(a, c, { ignore: ['id', '**.updatedAt'] }), false)
+      assert.deepStrictEqual(explain(a, c, { ignore: ['id', '**.updatedAt'] }),
+      [
+        { path: ['foo', 'bar'], reason: 'value', a: 1, b: 2 }
+      ])
+    })
+
+    test('Treats undefined as missing', () =>
+    {
+      const
+        a = { foo: 1, bar: undefined },
+        b = { foo: 1 }
+
+      assert.strictEqual(deepequal(a, b),                                  false)
+      assert.strictEqual(deepequal(a, b, { undefinedAsMissing: true }),    true)
+      assert.deepStrictEqual(explain({ foo: 1 }, { foo: undefined }, { undefinedAsMissing: true }),
+      [
+        { path: ['foo'], reason: 'missing', a: 1, b: undefined }
+      ])
+    })
+
+    test('Compares unordered arrays', () =>
+    {
+      const
+        a = { foo: [1, { bar: 2 }, 3] },
+        b = { foo: [3, 1, { bar: 2 }] },
+        c = { foo: [3, 1, 1] }
+
+      assert.strictEqual(deepequal(a, b),                         false)
+      assert.strictEqual(deepequal(a, b, { unordered: true }),    true)
+      assert.deepStrictEqual(explain(a, c, { unordered: true }),
+      [
+        { path: ['foo'], reason: 'missing', a: { bar: 2 },  b: undefined },
+        { path: ['foo'], reason: 'missing', a: undefined,   b: 1 }
+      ])
+    })
+
+    test('Compares by a comparator defined for a path', () =>
+    {
+      const
+        a = { foo: { name: 'Foo' }, bar: 'Bar' },
+        b = { foo: { name: 'FOO' }, bar: 'BAR' },
+        comparators = { 'foo.name': (a, b) => a.toLowerCase() === b.toLowerCase() }
+
+      assert.strictEqual(deepequal(a, b, { comparators }), false)
+      assert.deepStrictEqual(explain(a, b, { comparators }), [{ path: ['bar'], reason: 'value', a: 'Bar', b: 'BAR' }])
+
+      comparators.bar = (a, b, path) =>
+      {
+        assert.deepStrictEqual(path, ['bar'])
+        return true
+      }
+
+      assert.strictEqual(deepequal(a, b, { comparators }), true)
+    })
+
+    test('Compares by a comparator defined for a type', () =>
+    {
+      class Money
+      {
+        constructor(cents) { this.cents = cents }
+      }
+
+      const types = new Map(
+      [
+        [Money,   (a, b) => a.cents === b.cents],
+        ['string', (a, b) => a.trim() === b.trim()]
+      ])
+
+      assert.strictEqual(deepequal({ price: new Money(1), name: 'foo' }, { price: new Money(1), name: ' foo ' }, { types }), true)
+      assert.strictEqual(deepequal({ price: new Money(1), name: 'foo' }, { price: new Money(2), name: 'foo' },   { types }), false)
+      assert.strictEqual(deepequal({ price: 1 },  { price: '1' }, { types }), false, 'Should only use a comparator if both values are of the type')
+    })
+
+    test('Prefers a comparator for the path over a comparator for the type', () =>
+    {
+      const options =
+      {
+        comparators : { foo: () => true },
+        types       : { number: () => false }
+      }
+
+      assert.strictEqual(deepequal({ foo: 1, bar: 1 }, { foo: 2, bar: 1 }, options), false)
+      assert.deepStrictEqual(explain({ foo: 1, bar: 1 }, { foo: 2, bar: 1 }, options).map(({ path }) => path), [['bar']])
+    })
+  })
+
+  suite('Descriptors', () =>
+  {
+    test('Compares descriptor flags', () =>
+    {
+      const
+        a = Object.defineProperty({}, 'foo', { value: 1, enumerable: true, writable: false }),
+        b = { foo: 1 }
+
+      assert.strictEqual(deepequal(a, b),                          true)
+      assert.strictEqual(deepequal(a, b, { descriptors: true }),   false)
+      assert.deepStrictEqual(explain(a, b, { descriptors: true }),
+      [
+        {
+          path    : ['foo'],
+          reason  : 'descriptor',
+          a       : { value: 1, enumerable: true, writable: false, configurable: false },
+          b       : { value: 1, enumerable: true, writable: true,  configurable: true }
+        }
+      ])
+    })
+
+    test('Compares non-enumerable and symbol keys', () =>
+    {
+      const
+        sym = Symbol('foo'),
+        a   = Object.defineProperty({ [sym]: 1 }, 'bar', { value: 1 }),
+        b   = Object.defineProperty({ [sym]: 1 }, 'bar', { value: 1 }),
+        c   = Object.defineProperty({ [sym]: 2 }, 'bar', { value: 2 })
+
+      assert.strictEqual(deepequal(a, b, { descriptors: true }), true)
+      assert.deepStrictEqual(explain(a, c, { descriptors: true }).map(({ path, reason }) => [path, reason]),
+      [
+        [['bar'], 'value'],
+        [[sym],   'value']
+      ])
+    })
+
+    test('Compares accessors by identity', () =>
+    {
+      const
+        get = () => 1,
+        a   = Object.defineProperty({}, 'foo', { get, enumerable: true }),
+        b   = Object.defineProperty({}, 'foo', { get, enumerable: true }),
+        c   = Object.defineProperty({}, 'foo', { get: () => 1, enumerable: true }),
+        d   = { foo: 1 }
+
+      assert.strictEqual(deepequal(a, c),                          true, 'Should compare the values by default')
+      assert.strictEqual(deepequal(a, b, { descriptors: true }),   true)
+      assert.strictEqual(deepequal(a, c, { descriptors: true }),   false)
+      assert.strictEqual(deepequal(a, d, { descriptors: true }),   false, 'Should tell an accessor from a data property')
+    })
+
+    test('Compares if extensible, sealed or frozen', () =>
+    {
+      const
+        a = { foo: { bar: 1 } },
+        b = { foo: Object.preventExtensions({ bar: 1 }) },
+        c = { foo: Object.seal({ bar: 1 }) }
+
+      assert.strictEqual(deepequal(a, b),                          true)
+      assert.deepStrictEqual(explain(a, b, { descriptors: true }).map(({ path, reason }) => [path, reason]),
+      [
+        [['foo'], 'integrity']
+      ])
+      assert.deepStrictEqual(explain(b, c, { descriptors: true }).map(({ path, reason }) => [path, reason]),
+      [
+        [['foo'],        'integrity'],
+        [['foo', 'bar'], 'descriptor']
+      ])
+    })
+
+    test('Compares prototypes in loose mode', () =>
+    {
+      const
+        a = {},
+        b = Object.create(null)
+
+      assert.strictEqual(deepequal(a, b, { strict: false }),                       true)
+      assert.strictEqual(deepequal(a, b, { strict: false, descriptors: true }),    false)
+    })
+
+    test('Asserts a clone that preserves the immutable state', () =>
+    {
+      const value = Object.defineProperties({ list: Object.freeze([1, 2]) },
+      {
+        hidden    : { value: 'foo', enumerable: false },
+        readonly  : { value: 'bar', enumerable: true, writable: false },
+        computed  : { get() { return this.list.length }, enumerable: true }
+      })
+
+      Object.seal(value)
+
+      assert.strictEqual(deepequal(value, deepclone(value, { preservesImutable: true }), { descriptors: true }), true)
+      assert.strictEqual(deepequal(value, deepclone(value), { descriptors: true }), false)
+    })
+  })
+
+  suite('Explain', () =>
+  {
+    test('Returns no differences for equal values', () =>
+    {
+      assert.deepStrictEqual(explain({ foo: [1, { bar: 2 }] }, { foo: [1, { bar: 2 }] }), [])
+    })
+
+    test('Explains value and type mismatches', () =>
+    {
+      const
+        a = { foo: 1, bar: 'baz', qux: [1] },
+        b = { foo: 2, bar: 42,    qux: { 0: 1 } }
+
+      assert.deepStrictEqual(explain(a, b),
+      [
+        { path: ['foo'], reason: 'value', a: 1,     b: 2 },
+        { path: ['bar'], reason: 'type',  a: 'baz', b: 42 },
+        { path: ['qux'], reason: 'type',  a: [1],   b: { 0: 1 } }
+      ])
+    })
+
+    test('Explains missing keys', () =>
+    {
+      const
+        a = { foo: { bar: 1 } },
+        b = { foo: { baz: 2 } }
+
+      assert.deepStrictEqual(explain(a, b),
+      [
+        { path: ['foo', 'bar'], reason: 'missing', a: 1,         b: undefined },
+        { path: ['foo', 'baz'], reason: 'missing', a: undefined, b: 2 }
+      ])
+    })
+
+    test('Explains prototype mismatches', () =>
+    {
+      const
+        a = { foo: {} },
+        b = { foo: Object.create(null) }
+
+      assert.deepStrictEqual(explain(a, b), [{ path: ['foo'], reason: 'prototype', a: a.foo, b: b.foo }])
+      assert.deepStrictEqual(explain(a, b, { strict: false }), [], 'Loose comparison ignores the prototype')
+    })
+
+    test('Explains descriptor mismatches', () =>
+    {
+      const
+        a = { foo: 1 },
+        b = {}
+
+      Object.defineProperty(b, 'foo', { value: 1, enumerable: false })
+
+      assert.deepStrictEqual(explain(a, b), [{ path: ['foo'], reason: 'descriptor', a: 1, b: 1 }])
+    })
+
+    test('Explains differences in maps and sets', () =>
+    {
+      const
+        a = { map: new Map([['foo', 1], ['bar', 2]]), set: new Set([1, { baz: 1 }]) },
+        b = { map: new Map([['foo', 3]]),             set: new Set([{ baz: 1 }, 2]) }
+
+      assert.deepStrictEqual(explain(a, b),
+      [
+        { path: ['map', 'foo'], reason: 'value',    a: 1,         b: 3 },
+        { path: ['map', 'bar'], reason: 'missing',  a: 2,         b: undefined },
+        { path: ['set'],        reason: 'missing',  a: 1,         b: undefined },
+        { path: ['set'],        reason: 'missing',  a: undefined, b: 2 }
+      ])
+    })
+
+    test('Explains differences in dates, regular expressions and binary data', () =>
+    {
+      const
+        a = { date: new Date(0), regexp: /foo/g, bytes: new Uint8Array([1, 2]) },
+        b = { date: new Date(1), regexp: /foo/i, bytes: new Uint8Array([1, 3]) }
+
+      assert.deepStrictEqual(explain(a, b).map(({ path, reason }) => [path, reason]),
+      [
+        [['date'],    'value'],
+        [['regexp'],  'value'],
+        [['bytes'],   'value']
+      ])
+    })
+
+    test('Loosely compares values', () =>
+    {
+      assert.deepStrictEqual(explain({ foo: 42 }, { foo: '42' }, { strict: false }), [])
+      assert.deepStrictEqual(explain({ foo: 42 }, { foo: '43' }, { strict: false }),
+      [
+        { path: ['foo'], reason: 'type', a: 42, b: '43' }
+      ])
+    })
+
+    test('Limits the number of differences', () =>
+    {
+      const
+        a = { foo: 1, bar: 1, baz: 1 },
+        b = { foo: 2, bar: 2, baz: 2 }
+
+      assert.strictEqual(explain(a, b).length,              3)
+      assert.strictEqual(explain(a, b, { limit: 2 }).length, 2)
+    })
+
+    test('Handles circular references', () =>
+    {
+      const
+        a = { foo: 1 },
+        b = { foo: 2 }
+
+      a.self = a
+      b.self = b
+
+      assert.deepStrictEqual(explain(a, b), [{ path: ['foo'], reason: 'value', a: 1, b: 2 }])
+    })
+
+    test('Agrees with the strict equality of node', () =>
+    {
+      const values =
+      [
+        [{ foo: [1, 2] }, { foo: [1, 2] }],
+        [{ foo: [1, 2] }, { foo: [2, 1] }],
+        [[1, , 3], [1, undefined, 3]],
+        [[1, ,], [1]],
+        [[1, 2], [1, 2, ,]],
+        [new Set([{ foo: 1 }]), new Set([{ foo: 1 }])],
+        [new Map([[{ foo: 1 }, 'bar']]), new Map([[{ foo: 1 }, 'bar']])],
+        [new Map([[{ foo: 1 }, 'bar']]), new Map([[{ foo: 1 }, 'baz']])],
+        [new Number(1), new Number(2)],
+        [new Error('foo'), new Error('bar')],
+        [new Error('foo', { cause: 1 }), new Error('foo', { cause: 2 })],
+        [new Error('foo', { cause: 1 }), new Error('foo')],
+        [new AggregateError([1], 'foo'), new AggregateError([2], 'foo')],
+        [new AggregateError([1], 'foo'), new AggregateError([1], 'foo')],
+        [NaN, NaN],
+        [0, -0]
+      ]
+
+      for(const [a, b] of values)
+      {
+        assert.strictEqual(deepequal(a, b), util.isDeepStrictEqual(a, b), `Should agree on ${String(a)} and ${String(b)}`)
+      }
+    })
+
+    test('Agrees with the loose equality of node', () =>
+    {
+      const
+        isDeepEqual = (a, b) => { try { assert.deepEqual(a, b); return true } catch { return false } },
+        values      =
+        [
+          [{}, '[object Object]'],
+          [[1], '1'],
+          [{ foo: [1] }, { foo: '1' }],
+          [{ foo: 1 }, { foo: '1' }],
+          [null, undefined],
+          [new Error('foo', { cause: 1 }), new Error('foo', { cause: 2 })],
+          [new Error('foo', { cause: 1 }), new Error('foo', { cause: '1' })],
+          [new AggregateError([1], 'foo'), new AggregateError([2], 'foo')]
+        ]
+
+      for(const [a, b] of values)
+      {
+        assert.strictEqual(deepequal(a, b, false), isDeepEqual(a, b), `Should agree on ${String(a)} and ${String(b)}`)
+      }
+    })
+  })
 })
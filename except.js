@@ -0,0 +1,265 @@
+/**
+ * Excepts the values of b from a, meaning the result is what is in a but not
+ * in b, the complement of the intersect function.
+ *
+ * When excepting two arrays [object Array], the result is a new array
+ * containing only the values of a that are not present in b.
+ *
+ * @example excepting [1, 2, 3] and [2, 3, 4] results in [1].
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * When excepting two objects [object Object], the result is a new object
+ * with the properties of a that do not exist in b, and the properties that
+ * exist in both objects, but whose values are not excepted by b. The
+ * descriptor of a property that exists in both objects is defined by the
+ * most restrictive rules, same as the intersect strategy.
+ *
+ * @example excepting { foo: 1, bar: { baz: 2, qux: 3 } } and
+ * { foo: 1, bar: { baz: 2 } } results in { bar: { qux: 3 } }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * When excepting two sets [object Set], the result is a new set with the
+ * members of a that are not present in b. When excepting two maps
+ * [object Map], the result is a new map with the keys of a that do not
+ * exist in b, and the keys that exist in both maps, but whose values are
+ * not excepted by b.
+ *
+ * @example excepting new Set([1, 2]) and new Set([2, 3]) results in
+ * new Set([1]).
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A nested value where nothing remains when excepted is removed, while the
+ * value of a is kept as is if the types differ. Circular structures are
+ * excepted into an output with the same circular references.
+ *
+ * @example excepting { foo: [1] } and { foo: [1] } results in {}, while
+ * excepting { foo: [1] } and { foo: 1 } results in { foo: [1] }.
+ */
+export default function except(a, b, ...c)
+{
+  const
+    state   = { seen: new WeakMap, pending: new WeakSet },
+    output  = exceptAandB(a, b, state)
+
+  return c.length
+    ? except(output, ...c)
+    : output
+}
+
+function exceptAandB(a, b, state)
+{
+  if(Object.is(a, b))
+  {
+    return undefined
+  }
+
+  const
+    aType = Object.prototype.toString.call(a),
+    bType = Object.prototype.toString.call(b)
+
+  if(aType !== bType)
+  {
+    return a
+  }
+
+  if('[object Array]' === aType)
+  {
+    return exceptArray(a, b, state)
+  }
+
+  if('[object Object]' === aType)
+  {
+    return exceptObject(a, b, state)
+  }
+
+  if('[object Set]' === aType)
+  {
+    return exceptSet(a, b, state)
+  }
+
+  if('[object Map]' === aType)
+  {
+    return exceptMap(a, b, state)
+  }
+
+  return a
+}
+
+function exceptArray(a, b, state)
+{
+  if(hasSeen(a, b, state))
+  {
+    return state.seen.get(a).get(b)
+  }
+
+  const output = track(a, b, [], state)
+
+  a.forEach((value, i) =>
+  {
+    if(b.includes(value))
+    {
+      return
+    }
+
+    const excepted = 'object' === typeof value
+                   ? exceptNested(value, b[i], state)
+                   : value
+
+    if(undefined !== excepted)
+    {
+      output.push(excepted)
+    }
+  })
+
+  return complete(output, state)
+}
+
+function exceptObject(a, b, state)
+{
+  if(hasSeen(a, b, state))
+  {
+    return state.seen.get(a).get(b)
+  }
+
+  const output = track(a, b, {}, state)
+
+  for(const key of Object.getOwnPropertyNames(a))
+  {
+    const descriptorA = Object.getOwnPropertyDescriptor(a, key)
+
+    if(false === (key in b))
+    {
+      Object.defineProperty(output, key,
+      {
+        configurable : descriptorA.configurable,
+        enumerable   : descriptorA.enumerable,
+        writable     : descriptorA.writable,
+        value        : a[key]
+      })
+      continue
+    }
+
+    const value = exceptNested(a[key], b[key], state)
+
+    if(undefined === value)
+    {
+      continue
+    }
+
+    const descriptorB = Object.getOwnPropertyDescriptor(b, key) ?? descriptorA
+
+    Object.defineProperty(output, key,
+    {
+      configurable : descriptorA.configurable && descriptorB.configurable,
+      enumerable   : descriptorA.enumerable   && descriptorB.enumerable,
+      writable     : descriptorA.writable     && descriptorB.writable,
+      value
+    })
+  }
+
+  return complete(output, state)
+}
+
+function exceptSet(a, b, state)
+{
+  if(hasSeen(a, b, state))
+  {
+    return state.seen.get(a).get(b)
+  }
+
+  const output = track(a, b, new Set, state)
+
+  for(const member of a)
+  {
+    if(false === b.has(member))
+    {
+      output.add(member)
+    }
+  }
+
+  return complete(output, state)
+}
+
+function exceptMap(a, b, state)
+{
+  if(hasSeen(a, b, state))
+  {
+    return state.seen.get(a).get(b)
+  }
+
+  const output = track(a, b, new Map, state)
+
+  for(const [key, value] of a)
+  {
+    if(false === b.has(key))
+    {
+      output.set(key, value)
+      continue
+    }
+
+    const excepted = exceptNested(value, b.get(key), state)
+
+    if(undefined !== excepted)
+    {
+      output.set(key, excepted)
+    }
+  }
+
+  return complete(output, state)
+}
+
+/**
+ * A nested value where nothing remains is removed, unless it refers back to
+ * a structure still being excepted, which is a circular reference to keep.
+ */
+function exceptNested(a, b, state)
+{
+  const value = exceptAandB(a, b, state)
+
+  return isEmpty(value) && false === state.pending.has(value)
+    ? undefined
+    : value
+}
+
+function isEmpty(value)
+{
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : return 0 === value.length
+    case '[object Object]'  : return 0 === Object.getOwnPropertyNames(value).length
+    case '[object Set]'     :
+    case '[object Map]'     : return 0 === value.size
+    default                 : return false
+  }
+}
+
+/**
+ * The output is registered before the values are excepted, to let a
+ * circular reference resolve to the output, and is pending until completed.
+ */
+function track(a, b, output, state)
+{
+  state.seen.get(a).set(b, output)
+  state.pending.add(output)
+  return output
+}
+
+function complete(output, state)
+{
+  state.pending.delete(output)
+  return output
+}
+
+function hasSeen(a, b, state)
+{
+  if(false === state.seen.has(a))
+  {
+    state.seen.set(a, new WeakMap)
+    return false
+  }
+
+  return state.seen.get(a).has(b)
+}
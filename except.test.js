@@ -0,0 +1,153 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepexcept       from '@superhero/deep/except'
+
+suite('@superhero/deep/except', () =>
+{
+  test('Excepts arrays by value', () =>
+  {
+    const
+      a         = [1, 2, 3],
+      b         = [2, 3, 4],
+      expected  = [1]
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Only values of a not present in b should remain')
+  })
+
+  test('Excepts nested arrays', () =>
+  {
+    const
+      a         = [1, [2, 3], [4]],
+      b         = [1, [2, 4], [4]],
+      expected  = [[3]]
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Nested arrays should be excepted deeply, and removed when empty')
+  })
+
+  test('Excepts objects by key recursively', () =>
+  {
+    const
+      a         = { foo: 1, bar: { baz: 2, qux: 3 }, quux: 4 },
+      b         = { foo: 1, bar: { baz: 2 },         quux: 5 },
+      expected  = { bar: { qux: 3 }, quux: 4 }
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Keys and values of a not present in b should remain')
+  })
+
+  test('Removes nested values where nothing remains', () =>
+  {
+    const
+      a         = { foo: { bar: 1 }, baz: [1], qux: {} },
+      b         = { foo: { bar: 1 }, baz: [1] },
+      expected  = { qux: {} }
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Empty excepted values should be removed, keys not in b should remain as is')
+  })
+
+  test('Keeps the value of a when the types differ', () =>
+  {
+    const
+      a         = { foo: [1], bar: 'baz' },
+      b         = { foo: 1,   bar: 42 },
+      expected  = { foo: [1], bar: 'baz' }
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Values of different types should not be excepted')
+  })
+
+  test('Excepts equal values to an empty structure', () =>
+  {
+    assert.deepStrictEqual(deepexcept({ foo: 1 }, { foo: 1 }),  {})
+    assert.deepStrictEqual(deepexcept([1, 2], [2, 1]),          [])
+    assert.strictEqual(deepexcept('foo', 'foo'),                undefined)
+    assert.strictEqual(deepexcept('foo', 'bar'),                'foo')
+  })
+
+  test('Preserves restrictive descriptors', () =>
+  {
+    const
+      a = {},
+      b = {}
+
+    Object.defineProperty(a, 'foo', { value: { bar: 1, baz: 2 }, writable: true,  configurable: true, enumerable: true })
+    Object.defineProperty(b, 'foo', { value: { bar: 1 },         writable: false, configurable: true, enumerable: true })
+    Object.defineProperty(a, 'qux', { value: 1,                  writable: false, configurable: true, enumerable: false })
+
+    const
+      result      = deepexcept(a, b),
+      descriptor  = Object.getOwnPropertyDescriptor(result, 'foo')
+
+    assert.deepStrictEqual(result.foo, { baz: 2 })
+    assert.strictEqual(descriptor.writable,       false, 'Should be the most restrictive writable')
+    assert.strictEqual(descriptor.configurable,   true)
+    assert.strictEqual(descriptor.enumerable,     true)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result, 'qux'),
+      { value: 1, writable: false, configurable: true, enumerable: false }, 'Should keep the descriptor of a key not in b')
+  })
+
+  test('Excepts sets by value', () =>
+  {
+    const
+      a         = new Set([1, 2, 3]),
+      b         = new Set([2, 3, 4]),
+      expected  = new Set([1])
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Only members of a not present in b should remain')
+  })
+
+  test('Excepts maps by key and value', () =>
+  {
+    const
+      a         = new Map([['foo', { bar: 1, baz: 2 }], ['qux', 1], ['quux', 1], ['corge', 1]]),
+      b         = new Map([['foo', { bar: 1 }],         ['qux', 1], ['quux', 2]]),
+      expected  = new Map([['foo', { baz: 2 }],         ['quux', 1], ['corge', 1]])
+
+    const result = deepexcept(a, b)
+    assert.deepStrictEqual(result, expected, 'Maps should be excepted by key, and the values recursively')
+  })
+
+  test('Computes removed permissions and stale configuration keys', () =>
+  {
+    const
+      before  = { permissions: new Set(['read', 'write', 'delete']), config: { host: 'localhost', port: 80, debug: true } },
+      after   = { permissions: new Set(['read']),                    config: { host: 'localhost', port: 8080 } }
+
+    assert.deepStrictEqual(deepexcept(before, after),
+    {
+      permissions : new Set(['write', 'delete']),
+      config      : { port: 80, debug: true }
+    })
+  })
+
+  test('Handles multiple sequential exceptions', () =>
+  {
+    const
+      a         = { foo: 1, bar: 2, baz: 3 },
+      b         = { foo: 1 },
+      c         = { bar: 2 },
+      expected  = { baz: 3 }
+
+    const result = deepexcept(a, b, c)
+    assert.deepStrictEqual(result, expected, 'Multiple values should be excepted sequentially')
+  })
+
+  test('Excepts circular references', () =>
+  {
+    const
+      a = { foo: 1, bar: 2 },
+      b = { foo: 1 }
+
+    a.self = a
+    b.self = b
+
+    const result = deepexcept(a, b)
+    assert.strictEqual(result.bar,  2)
+    assert.strictEqual(result.self, result, 'The output should refer back to itself')
+    assert.deepStrictEqual(Object.keys(result), ['bar', 'self'])
+  })
+})
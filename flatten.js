@@ -0,0 +1,144 @@
+/**
+ * Flattens the value into an object of delimited keys, where each key is
+ * the path to a leaf of the structure, joined by the delimiter, and the
+ * value is the leaf. The delimiter is "." by default, and is defined by the
+ * "delimiter" option.
+ *
+ * @example flatten({ db: { host: 'x' }, list: [1] }) results in
+ * { 'db.host': 'x', 'list.0': 1 }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The own enumerable string keys of objects, and the elements of arrays, are
+ * flattened. An empty object or array is kept as a leaf, so that the value
+ * can be restored by the unflatten function. Maps are leaves by default, and
+ * are flattened by their keys with the "maps" option set to true. Other
+ * values, such as dates and sets, are leaves.
+ *
+ * A delimiter, or a backslash, inside a key is escaped by a backslash.
+ *
+ * @example flatten({ 'example.com': { port: 80 } }) results in
+ * { 'example\\.com.port': 80 }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The "coerce" option is a function called with each leaf and the path to
+ * the leaf, where the returned value replaces the leaf in the flattened
+ * object.
+ *
+ * @example flatten(config, { coerce: (value) => String(value) })
+ */
+export default function flatten(value, options = {})
+{
+  options.delimiter = options.delimiter ?? '.'
+  options.maps      = options.maps      ?? false
+  options.coerce    = options.coerce    ?? ((value) => value)
+
+  assertDelimiter(options)
+
+  const
+    output  = {},
+    state   = { options, output, ancestors: new WeakSet }
+
+  if(isBranch(value, options))
+  {
+    flattenBranch(value, [], state)
+  }
+
+  return output
+}
+
+function flattenNode(value, path, state)
+{
+  if(isBranch(value, state.options))
+  {
+    flattenBranch(value, path, state)
+    return
+  }
+
+  const key = path.map((segment) => escape(String(segment), state.options.delimiter)).join(state.options.delimiter)
+
+  // defined, not assigned, so that a "__proto__" key is an own property
+  Object.defineProperty(state.output, key,
+  {
+    value         : state.options.coerce(value, path),
+    enumerable    : true,
+    writable      : true,
+    configurable  : true
+  })
+}
+
+function flattenBranch(value, path, state)
+{
+  if(state.ancestors.has(value))
+  {
+    throw new CircularReferenceError(`Circular reference detected at "${path.join(state.options.delimiter)}"`)
+  }
+
+  state.ancestors.add(value)
+
+  for(const [ key, child ] of entriesOf(value))
+  {
+    flattenNode(child, [...path, key], state)
+  }
+
+  state.ancestors.delete(value)
+}
+
+/**
+ * A branch is a non-empty container that is flattened, as opposed to a leaf.
+ */
+function isBranch(value, options)
+{
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : return value.length > 0
+    case '[object Object]'  : return Object.keys(value).length > 0
+    case '[object Map]'     : return options.maps && value.size > 0
+    default                 : return false
+  }
+}
+
+function entriesOf(value)
+{
+  if(value instanceof Map)
+  {
+    return [...value].filter(([ key ]) => typeof key !== 'symbol')
+  }
+
+  return Array.isArray(value)
+    ? Object.keys(value).filter(isIndex).map((key) => [ Number(key), value[key] ])
+    : Object.entries(value)
+}
+
+function isIndex(key)
+{
+  return /^(0|[1-9]\d*)$/.test(key)
+}
+
+function escape(segment, delimiter)
+{
+  return segment.replaceAll('\\', '\\\\').replaceAll(delimiter, '\\' + delimiter)
+}
+
+function assertDelimiter(options)
+{
+  if(typeof options.delimiter !== 'string'
+  || '' === options.delimiter
+  || options.delimiter.includes('\\'))
+  {
+    throw new InvalidDelimiterError(`Invalid delimiter "${String(options.delimiter)}", expected a non-empty string without a backslash`)
+  }
+}
+
+class CircularReferenceError extends ReferenceError
+{
+  name = 'CircularReferenceError'
+  code = 'E_DEEP_FLATTEN_CIRCULAR_REFERENCE'
+}
+
+class InvalidDelimiterError extends TypeError
+{
+  name = 'InvalidDelimiterError'
+  code = 'E_DEEP_FLATTEN_INVALID_DELIMITER'
+}
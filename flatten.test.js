@@ -0,0 +1,87 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepflatten      from '@superhero/deep/flatten'
+
+suite('@superhero/deep/flatten', () =>
+{
+  test('Flattens nested objects and arrays to delimited keys', () =>
+  {
+    const
+      value     = { db: { host: 'x', port: 5432 }, list: [1, { id: 2 }] },
+      expected  = { 'db.host': 'x', 'db.port': 5432, 'list.0': 1, 'list.1.id': 2 }
+
+    assert.deepStrictEqual(deepflatten(value), expected)
+  })
+
+  test('Flattens by a custom delimiter', () =>
+  {
+    const
+      value     = { db: { host: 'x' } },
+      expected  = { db__host: 'x' }
+
+    assert.deepStrictEqual(deepflatten(value, { delimiter: '__' }), expected)
+  })
+
+  test('Escapes delimiters and backslashes inside keys', () =>
+  {
+    const
+      value     = { 'example.com': { port: 80 }, 'c:\\dir': 1 },
+      expected  = { 'example\\.com.port': 80, 'c:\\\\dir': 1 }
+
+    assert.deepStrictEqual(deepflatten(value), expected)
+  })
+
+  test('Keeps empty containers and other values as leaves', () =>
+  {
+    const
+      date      = new Date(0),
+      set       = new Set([1]),
+      value     = { obj: {}, list: [], date, set, nil: null },
+      result    = deepflatten(value)
+
+    assert.deepStrictEqual(result, { obj: {}, list: [], date, set, nil: null })
+    assert.strictEqual(result.date, date, 'Should not clone the leaves')
+  })
+
+  test('Flattens maps by their keys when requested', () =>
+  {
+    const value = { cache: new Map([['ttl', 60]]) }
+
+    assert.deepStrictEqual(deepflatten(value),                   { cache: new Map([['ttl', 60]]) })
+    assert.deepStrictEqual(deepflatten(value, { maps: true }),   { 'cache.ttl': 60 })
+  })
+
+  test('Coerces the leaves by the coerce hook', () =>
+  {
+    const
+      paths     = [],
+      value     = { port: 80, list: [true] },
+      coerce    = (value, path) => (paths.push(path), String(value)),
+      expected  = { port: '80', 'list.0': 'true' }
+
+    assert.deepStrictEqual(deepflatten(value, { coerce }), expected)
+    assert.deepStrictEqual(paths, [['port'], ['list', 0]], 'Should call the hook with the path')
+  })
+
+  test('Defines a "__proto__" key as an own property', () =>
+  {
+    const result = deepflatten(JSON.parse('{ "__proto__": { "polluted": 1 } }'))
+
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype)
+    assert.strictEqual(result['__proto__.polluted'], 1)
+  })
+
+  test('Throws on circular references', () =>
+  {
+    const value = { foo: {} }
+    value.foo.bar = value
+
+    assert.throws(() => deepflatten(value), { code: 'E_DEEP_FLATTEN_CIRCULAR_REFERENCE' })
+  })
+
+  test('Throws on an invalid delimiter', () =>
+  {
+    assert.throws(() => deepflatten({}, { delimiter: '' }),   { code: 'E_DEEP_FLATTEN_INVALID_DELIMITER' })
+    assert.throws(() => deepflatten({}, { delimiter: '\\' }), { code: 'E_DEEP_FLATTEN_INVALID_DELIMITER' })
+  })
+})
@@ -1,30 +1,131 @@
+/**
+ * Freezes the value recursively, and returns the frozen value.
+ *
+ * Object.freeze does not prevent the internal state of a Map, Set, Date or
+ * DataView from being mutated. The mutating methods of such instances are
+ * therefore shadowed by own methods that throw a FrozenError, which keeps
+ * the instances passing instanceof checks.
+ *
+ * @example freeze(new Map([['foo', 1]])).set('foo', 2) throws a FrozenError.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A typed array, or Buffer, with elements can not be frozen, and is left
+ * as is, to still be accepted as a view by the binary APIs of Node. Its
+ * elements can therefore still be written.
+ *
+ * @example freeze({ foo: new Uint8Array(1) }).foo[0] = 1 writes the element.
+ */
 export default function freeze(obj)
 {
   const seen = new WeakSet
-  freezeIterator(obj, seen)
+  return freezeIterator(obj, seen)
 }
 
 function freezeIterator(obj, seen)
 {
-  const objType = Object.prototype.toString.call(obj)
+  if(seen.has(obj))
+  {
+    return obj
+  }
 
-  if('[object Array]'   === objType
-  || '[object Object]'  === objType)
+  switch(Object.prototype.toString.call(obj))
   {
-    if(seen.has(obj))
-    {
-      return
-    }
-    else
-    {
-      seen.add(obj)
-    }
+    case '[object Array]'             :
+    case '[object Object]'            : return freezeObject(obj, seen)
+    case '[object Map]'               : return freezeMap(obj, seen)
+    case '[object Set]'               : return freezeSet(obj, seen)
+    case '[object Date]'              : return freezeDate(obj, seen)
+    case '[object DataView]'          : return freezeDataView(obj, seen)
+    default                           : return obj
+  }
+}
 
-    for(const key of [...Object.getOwnPropertyNames(obj), ...Object.getOwnPropertySymbols(obj)])
-    {
-      freezeIterator(obj[key], seen)
-    }
+function freezeObject(obj, seen)
+{
+  seen.add(obj)
+
+  for(const key of [...Object.getOwnPropertyNames(obj), ...Object.getOwnPropertySymbols(obj)])
+  {
+    freezeIterator(obj[key], seen)
+  }
+
+  return Object.freeze(obj)
+}
+
+function freezeMap(map, seen)
+{
+  seen.add(map)
+
+  for(const [key, value] of map)
+  {
+    freezeIterator(key,   seen)
+    freezeIterator(value, seen)
+  }
+
+  shadow(map, ['set', 'delete', 'clear'])
+
+  return Object.freeze(map)
+}
+
+function freezeSet(set, seen)
+{
+  seen.add(set)
 
-    Object.freeze(obj)
+  for(const member of set)
+  {
+    freezeIterator(member, seen)
   }
-}
\ No newline at end of file
+
+  shadow(set, ['add', 'delete', 'clear'])
+
+  return Object.freeze(set)
+}
+
+function freezeDate(date, seen)
+{
+  seen.add(date)
+  shadow(date, Object.getOwnPropertyNames(Date.prototype).filter((name) => name.startsWith('set')))
+  return Object.freeze(date)
+}
+
+function freezeDataView(view, seen)
+{
+  seen.add(view)
+  shadow(view, Object.getOwnPropertyNames(DataView.prototype).filter((name) => name.startsWith('set')))
+  return Object.freeze(view)
+}
+
+/**
+ * Shadows the mutating methods of the instance by own non-enumerable methods
+ * that throw.
+ */
+function shadow(instance, methods)
+{
+  if(false === Object.isExtensible(instance))
+  {
+    return
+  }
+
+  const type = instance.constructor?.name ?? 'object'
+
+  for(const method of methods)
+  {
+    Object.defineProperty(instance, method,
+    {
+      enumerable    : false,
+      writable      : false,
+      configurable  : false,
+      value         : function()
+      {
+        throw new FrozenError(`Cannot call "${method}" on a frozen ${type}`)
+      }
+    })
+  }
+}
+
+class FrozenError extends TypeError
+{
+  name = 'FrozenError'
+  code = 'E_DEEP_FREEZE_FROZEN'
+}
@@ -120,4 +120,75 @@ suite('@superhero/deep/freeze', () =>
     assert.strictEqual(Object.isFrozen(obj.nested), true, 'Nested object should be frozen')
     assert.strictEqual(Object.isFrozen(obj),        true, 'Parent object should be frozen')
   })
+
+  test('Returns the frozen value', () =>
+  {
+    const obj = { foo: 'bar' }
+    assert.strictEqual(deepfreeze(obj), obj)
+  })
+
+  test('Freezes maps recursively', () =>
+  {
+    const
+      key = { foo: 'bar' },
+      map = new Map([[key, { baz: 'qux' }]])
+
+    deepfreeze(map)
+
+    assert.ok(map instanceof Map, 'Should still be a Map')
+    assert.throws(() => map.set('foo', 'bar'),  { name: 'FrozenError', code: 'E_DEEP_FREEZE_FROZEN' })
+    assert.throws(() => map.delete(key),        { name: 'FrozenError', code: 'E_DEEP_FREEZE_FROZEN' })
+    assert.throws(() => map.clear(),            { name: 'FrozenError', code: 'E_DEEP_FREEZE_FROZEN' })
+    assert.throws(() => { map.get(key).baz = 'changed' }, TypeError, 'Should freeze the values')
+    assert.strictEqual(Object.isFrozen(key), true, 'Should freeze the keys')
+    assert.strictEqual(map.size, 1)
+    assert.deepStrictEqual(map.get(key), { baz: 'qux' })
+  })
+
+  test('Freezes sets recursively', () =>
+  {
+    const
+      member  = { foo: 'bar' },
+      set     = new Set([member, 1])
+
+    deepfreeze(set)
+
+    assert.ok(set instanceof Set, 'Should still be a Set')
+    assert.throws(() => set.add(2),         { name: 'FrozenError' })
+    assert.throws(() => set.delete(member), { name: 'FrozenError' })
+    assert.throws(() => set.clear(),        { name: 'FrozenError' })
+    assert.strictEqual(Object.isFrozen(member), true, 'Should freeze the members')
+    assert.deepStrictEqual([...set], [member, 1])
+  })
+
+  test('Freezes dates', () =>
+  {
+    const date = new Date(0)
+
+    deepfreeze({ date })
+
+    assert.ok(date instanceof Date, 'Should still be a Date')
+    assert.throws(() => date.setTime(1),        { name: 'FrozenError' })
+    assert.throws(() => date.setFullYear(2000), { name: 'FrozenError' })
+    assert.strictEqual(date.getTime(), 0)
+  })
+
+  test('Leaves typed arrays and buffers as is', () =>
+  {
+    const
+      bytes   = new Uint8Array([1, 2, 3]),
+      buffer  = Buffer.from('abc'),
+      obj     = deepfreeze({ bytes, buffer, map: new Map([['foo', bytes]]), set: new Set([buffer]) })
+
+    assert.strictEqual(obj.bytes,             bytes,  'Should not replace the typed array')
+    assert.strictEqual(obj.buffer,            buffer, 'Should not replace the buffer')
+    assert.strictEqual(obj.map.get('foo'),    bytes)
+    assert.strictEqual([...obj.set][0],       buffer)
+    assert.strictEqual(ArrayBuffer.isView(obj.bytes), true)
+    assert.strictEqual(Buffer.concat([obj.buffer]).toString(), 'abc', 'Should be accepted by the binary APIs')
+    assert.strictEqual(new TextDecoder().decode(obj.bytes), '\x01\x02\x03')
+
+    obj.bytes.set([4])
+    assert.deepStrictEqual([...bytes], [4, 2, 3], 'Should still allow writing the elements')
+  })
 })
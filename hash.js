@@ -0,0 +1,305 @@
+import { Buffer }                from 'node:buffer'
+import { createHash, getHashes } from 'node:crypto'
+
+/**
+ * Hashes the value into a stable content hash, as a hex string, where the
+ * hash is independent of the insertion order of the keys of objects, the
+ * entries of maps and the members of sets. The algorithm is "sha256" by
+ * default, and is defined by the "algorithm" option, as supported by
+ * node:crypto.
+ *
+ * @example hash({ foo: 1, bar: 2 }) === hash({ bar: 2, foo: 1 }) is true
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The values are canonicalised by the same rules as the equal function, so
+ * that equal(a, b) implies hash(a) === hash(b):
+ * - primitives are hashed by their type and value, where NaN equals NaN,
+ *   but 0 and -0 differ, and a symbol is hashed by its description.
+ * - objects, arrays and boxed primitives are hashed by their type, their
+ *   prototype, and their enumerable keys, including symbol keys.
+ * - maps and sets are hashed by their entries and members, regardless of
+ *   the order.
+ * - dates, regular expressions and errors are hashed by their value, and
+ *   typed arrays and buffers by their bytes.
+ *
+ * Different values may, but are not expected to, share the same hash.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A circular structure is hashed by its shape, regardless of how the cycle
+ * is unrolled, the same way as the equal function compares circular
+ * structures.
+ *
+ * @example const a = {}; a.self = a; const b = { self: { } }; b.self.self = b
+ * then hash(a) === hash(b) is true, same as equal(a, b) is true.
+ */
+export default function hash(value, options = {})
+{
+  options.algorithm = options.algorithm ?? 'sha256'
+
+  assertAlgorithm(options)
+
+  const
+    state   = { options, ancestors: new WeakSet, digests: new WeakMap, circular: false },
+    digest  = hashValue(value, state)
+
+  return state.circular
+    ? hashGraph(value, state)
+    : digest
+}
+
+/**
+ * Hashes an acyclic structure bottom up, where a container is hashed by its
+ * label and the hashes of its children.
+ */
+function hashValue(value, state)
+{
+  if(false === isNode(value))
+  {
+    return digest(encodeLeaf(value), state)
+  }
+
+  if(state.digests.has(value))
+  {
+    return state.digests.get(value)
+  }
+
+  if(state.ancestors.has(value))
+  {
+    state.circular = true
+    return ''
+  }
+
+  state.ancestors.add(value)
+
+  const
+    { label, slots }  = describe(value),
+    output            = digestNode(label, slots, (child) => hashValue(child, state), state)
+
+  state.ancestors.delete(value)
+  state.digests.set(value, output)
+
+  return output
+}
+
+/**
+ * Hashes a circular structure by iteratively refining the hashes of all the
+ * containers in the structure, where each round hashes a container by its
+ * label and the hashes of its children from the previous round, until the
+ * hashes no longer tell more containers apart. The number of distinct hashes
+ * in each round is the same for all structures that are equal, regardless of
+ * how the cycles are unrolled, so the refinement stops in the same round.
+ *
+ * The structure is then hashed by the containers it tells apart, each by its
+ * hash and the hashes of its children, which describes the whole structure,
+ * and not only as deep as the number of rounds.
+ */
+function hashGraph(root, state)
+{
+  const nodes = new Map
+
+  collect(root, nodes)
+
+  let
+    digests = new Map([...nodes].map(([ node, { label } ]) => [ node, digest(label, state) ])),
+    count   = distinct(digests)
+
+  while(true)
+  {
+    const previous = digests
+
+    digests = new Map([...nodes].map(([ node, { label, slots } ]) =>
+      [ node, digestNode(label, slots, (child) => previous.get(child), state) ]))
+
+    const next = distinct(digests)
+
+    // each round refines the previous, the same count is the same partition
+    if(next === count)
+    {
+      const containers = new Set([...nodes.keys()].map((node) => previous.get(node) + ':' + digests.get(node)))
+      return digest(JSON.stringify([ previous.get(root), ...[...containers].sort() ]), state)
+    }
+
+    count = next
+  }
+}
+
+function collect(value, nodes)
+{
+  if(false === isNode(value)
+  || nodes.has(value))
+  {
+    return
+  }
+
+  const description = describe(value)
+
+  nodes.set(value, description)
+
+  for(const slot of description.slots)
+  {
+    for(const ref of slot.refs)
+    {
+      collect(ref, nodes)
+    }
+  }
+}
+
+function distinct(digests)
+{
+  return new Set(digests.values()).size
+}
+
+/**
+ * A container is digested by its label and its slots, where the slots are
+ * sorted to be independent of the insertion order. A slot describes a child
+ * by a kind, such as "property", "entry" or "member", the encoded key, if
+ * any, and the referenced values.
+ */
+function digestNode(label, slots, digestOf, state)
+{
+  const
+    encodeRef = (ref) => isNode(ref) ? '#' + digestOf(ref) : encodeLeaf(ref),
+    encoded   = slots.map(({ kind, key, refs }) => JSON.stringify([ kind, key ?? '', ...refs.map(encodeRef) ]))
+
+  return digest(JSON.stringify([ label, ...encoded.sort() ]), state)
+}
+
+function digest(data, state)
+{
+  return createHash(state.options.algorithm).update(data).digest('hex')
+}
+
+function isNode(value)
+{
+  return typeof value === 'object'
+      && value !== null
+}
+
+function encodeLeaf(value)
+{
+  switch(typeof value)
+  {
+    case 'undefined'  : return 'undefined'
+    case 'boolean'    : return 'boolean:' + value
+    case 'number'     : return 'number:' + (Object.is(value, -0) ? '-0' : String(value))
+    case 'bigint'     : return 'bigint:' + value
+    case 'string'     : return 'string:' + value
+    case 'symbol'     : return 'symbol:' + encodeSymbol(value)
+    case 'function'   : return 'function:' + value.name
+    default           : return 'null'
+  }
+}
+
+function encodeSymbol(symbol)
+{
+  const key = Symbol.keyFor(symbol)
+
+  return undefined === key
+    ? 'description:' + (symbol.description ?? '')
+    : 'for:' + key
+}
+
+function encodeKey(key)
+{
+  return typeof key === 'symbol'
+    ? 'symbol:' + encodeSymbol(key)
+    : 'string:' + key
+}
+
+/**
+ * Describes a container by a label, that identifies the type, the prototype
+ * and the value of the container, and the slots of its children.
+ */
+function describe(value)
+{
+  const
+    type      = Object.prototype.toString.call(value),
+    prototype = Object.getPrototypeOf(value),
+    label     = [ type, null === prototype ? 'null' : String(prototype.constructor?.name) ]
+
+  switch(type)
+  {
+    case '[object Date]':
+    {
+      label.push(String(value.getTime()))
+      break
+    }
+    case '[object RegExp]':
+    {
+      label.push(value.source, value.flags, String(value.lastIndex))
+      break
+    }
+    case '[object Error]':
+    {
+      label.push(String(value.name), String(value.message))
+      break
+    }
+    case '[object Number]'  :
+    case '[object String]'  :
+    case '[object Boolean]' :
+    case '[object BigInt]'  :
+    case '[object Symbol]'  :
+    {
+      label.push(encodeLeaf(value.valueOf()))
+      break
+    }
+    case '[object Map]':
+    {
+      const entries = [...value].map(([ key, child ]) => ({ kind: 'entry', refs: [ key, child ] }))
+      return { label: JSON.stringify(label), slots: [ ...entries, ...propertiesOf(value) ] }
+    }
+    case '[object Set]':
+    {
+      const members = [...value].map((member) => ({ kind: 'member', refs: [ member ] }))
+      return { label: JSON.stringify(label), slots: [ ...members, ...propertiesOf(value) ] }
+    }
+    default:
+    {
+      // binary values are hashed by their bytes only, same as compared
+      if(ArrayBuffer.isView(value)
+      || value instanceof ArrayBuffer
+      || value instanceof SharedArrayBuffer)
+      {
+        label.push(Buffer.from(toBytes(value)).toString('hex'))
+        return { label: JSON.stringify(label), slots: [] }
+      }
+    }
+  }
+
+  return { label: JSON.stringify(label), slots: propertiesOf(value) }
+}
+
+/**
+ * The enumerable own keys, including the enumerable symbol keys, same as the
+ * keys compared by the equal function.
+ */
+function propertiesOf(value)
+{
+  const keys = [ ...Object.keys(value), ...Object.getOwnPropertySymbols(value).filter((symbol) =>
+    Object.prototype.propertyIsEnumerable.call(value, symbol)) ]
+
+  return keys.map((key) => ({ kind: 'property', key: encodeKey(key), refs: [ value[key] ] }))
+}
+
+function toBytes(value)
+{
+  return ArrayBuffer.isView(value)
+    ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+    : new Uint8Array(value)
+}
+
+function assertAlgorithm(options)
+{
+  if(false === getHashes().includes(options.algorithm))
+  {
+    throw new InvalidAlgorithmError(`Unsupported hash algorithm "${options.algorithm}"`)
+  }
+}
+
+class InvalidAlgorithmError extends TypeError
+{
+  name = 'InvalidAlgorithmError'
+  code = 'E_DEEP_HASH_INVALID_ALGORITHM'
+}
@@ -0,0 +1,145 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deephash         from '@superhero/deep/hash'
+import deepequal        from '@superhero/deep/equal'
+
+suite('@superhero/deep/hash', () =>
+{
+  test('Hashes to a hex string by sha256 by default', () =>
+  {
+    assert.match(deephash({ foo: 'bar' }), /^[0-9a-f]{64}$/)
+    assert.match(deephash({ foo: 'bar' }, { algorithm: 'md5' }), /^[0-9a-f]{32}$/)
+  })
+
+  test('Is independent of the insertion order', () =>
+  {
+    assert.strictEqual(deephash({ foo: 1, bar: 2 }),                   deephash({ bar: 2, foo: 1 }))
+    assert.strictEqual(deephash(new Map([['a', 1], ['b', 2]])),        deephash(new Map([['b', 2], ['a', 1]])))
+    assert.strictEqual(deephash(new Set([1, { foo: 2 }])),             deephash(new Set([{ foo: 2 }, 1])))
+    assert.notStrictEqual(deephash([1, 2]), deephash([2, 1]), 'Should depend on the order of an array')
+  })
+
+  test('Tells different values apart', () =>
+  {
+    const values =
+    [
+      undefined, null, 0, -0, 1, '1', 1n, true, 'true', NaN, Symbol('foo'),
+      {}, [], new Map, new Set, Object.create(null), { 0: 1 }, [1], new Set([1]),
+      new Date(0), new Date(1), /foo/g, /foo/i, new Error('foo'), new TypeError('foo'),
+      new Uint8Array([1]), new Int8Array([1]), new Uint8Array([2]), new Number(1), new String('1'),
+      { foo: undefined }, { foo: null }, [[]], [{}]
+    ]
+
+    const hashes = values.map((value) => deephash(value))
+
+    assert.strictEqual(new Set(hashes).size, values.length, 'Should hash each value differently')
+  })
+
+  test('Hashes the supported types by their value', () =>
+  {
+    const symbol = Symbol('foo')
+
+    assert.strictEqual(deephash(NaN),                      deephash(NaN))
+    assert.strictEqual(deephash(10n),                      deephash(BigInt(10)))
+    assert.strictEqual(deephash(symbol),                   deephash(symbol))
+    assert.strictEqual(deephash(new Date(0)),              deephash(new Date(0)))
+    assert.strictEqual(deephash(/foo/g),                   deephash(/foo/g))
+    assert.strictEqual(deephash(new Uint8Array([1, 2])),   deephash(new Uint8Array([1, 2])))
+    assert.strictEqual(deephash({ [symbol]: 1 }),          deephash({ [symbol]: 1 }))
+  })
+
+  test('Ignores the keys that are not enumerable, same as equal', () =>
+  {
+    const
+      a = { foo: 1 },
+      b = Object.defineProperty({ foo: 1 }, 'bar', { value: 2, enumerable: false })
+
+    assert.strictEqual(deepequal(a, b), true)
+    assert.strictEqual(deephash(a), deephash(b))
+  })
+
+  test('Hashes circular structures deterministically', () =>
+  {
+    const a = { foo: 1 }
+    a.self = a
+
+    const b = { foo: 1, self: { foo: 1 } }
+    b.self.self = b
+
+    const c = { foo: 1, self: { foo: 2 } }
+    c.self.self = c
+
+    assert.strictEqual(deephash(a), deephash(a))
+    assert.strictEqual(deepequal(a, b), true)
+    assert.strictEqual(deephash(a), deephash(b), 'Should hash regardless of how the cycle is unrolled')
+    assert.strictEqual(deepequal(a, c), false)
+    assert.notStrictEqual(deephash(a), deephash(c))
+  })
+
+  test('Hashes circular parent and child references', () =>
+  {
+    const tree = (size) =>
+    {
+      const nodes = [{ id: 0, children: [] }]
+
+      for(let id = 1; id < size; id++)
+      {
+        const parent = nodes[Math.floor((id - 1) / 2)]
+        nodes.push({ id, parent, children: [] })
+        parent.children.push(nodes[id])
+      }
+
+      return nodes[0]
+    }
+
+    const
+      a = tree(400),
+      b = tree(400),
+      c = tree(400)
+
+    c.children[0].children[1].id = -1
+
+    assert.strictEqual(deephash(a), deephash(b))
+    assert.notStrictEqual(deephash(a), deephash(c))
+
+    const d = { foo: 1 }
+    d.next = { foo: 1, next: d }
+
+    const e = { foo: 1 }
+    e.next = { foo: 1, next: { foo: 1, next: e } }
+
+    assert.strictEqual(deepequal(d, e), true)
+    assert.strictEqual(deephash(d), deephash(e), 'Should hash regardless of the length of the unrolled cycle')
+  })
+
+  test('Hashes shared references that are not circular', () =>
+  {
+    const
+      shared  = { foo: 1 },
+      a       = { bar: shared, baz: shared },
+      b       = { bar: { foo: 1 }, baz: { foo: 1 } }
+
+    assert.strictEqual(deephash(a), deephash(b))
+  })
+
+  test('Hashes equal values equally', () =>
+  {
+    const pairs =
+    [
+      [{ foo: [1, { bar: new Map([[{ id: 1 }, new Set(['a'])]]) }] }, { foo: [1, { bar: new Map([[{ id: 1 }, new Set(['a'])]]) }] }],
+      [new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]])],
+      [{ date: new Date(0), list: [1n, 2n] }, { list: [1n, 2n], date: new Date(0) }]
+    ]
+
+    for(const [ a, b ] of pairs)
+    {
+      assert.strictEqual(deepequal(a, b), true)
+      assert.strictEqual(deephash(a), deephash(b))
+    }
+  })
+
+  test('Throws on an unsupported algorithm', () =>
+  {
+    assert.throws(() => deephash({}, { algorithm: 'foo' }), { code: 'E_DEEP_HASH_INVALID_ALGORITHM' })
+  })
+})
@@ -1,9 +1,25 @@
 import assign     from '@superhero/deep/assign'
 import clone      from '@superhero/deep/clone'
+import diff       from '@superhero/deep/diff'
 import equal      from '@superhero/deep/equal'
+import except     from '@superhero/deep/except'
+import flatten    from '@superhero/deep/flatten'
 import freeze     from '@superhero/deep/freeze'
+import hash       from '@superhero/deep/hash'
 import intersect  from '@superhero/deep/intersect'
+import match      from '@superhero/deep/match'
 import merge      from '@superhero/deep/merge'
+import observe    from '@superhero/deep/observe'
+import omit       from '@superhero/deep/omit'
+import patch      from '@superhero/deep/patch'
+import path       from '@superhero/deep/path'
+import pick       from '@superhero/deep/pick'
+import produce    from '@superhero/deep/produce'
+import readonly   from '@superhero/deep/readonly'
+import serialize  from '@superhero/deep/serialize'
+import transform  from '@superhero/deep/transform'
+import unflatten  from '@superhero/deep/unflatten'
+import walk       from '@superhero/deep/walk'
 
-export          { assign, clone, equal, freeze, intersect, merge }
-export default  { assign, clone, equal, freeze, intersect, merge }
\ No newline at end of file
+export          { assign, clone, diff, equal, except, flatten, freeze, hash, intersect, match, merge, observe, omit, patch, path, pick, produce, readonly, serialize, transform, unflatten, walk }
+export default  { assign, clone, diff, equal, except, flatten, freeze, hash, intersect, match, merge, observe, omit, patch, path, pick, produce, readonly, serialize, transform, unflatten, walk }
\ No newline at end of file
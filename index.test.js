@@ -1,23 +1,63 @@
 import assert           from 'assert'
 import { suite, test }  from 'node:test'
 import deep             from '@superhero/deep'
-import { assign, clone, freeze, merge } from '@superhero/deep'
+import { assign, clone, diff, except, flatten, freeze, hash, merge, observe, omit, patch, path, pick, produce, readonly, serialize, transform, unflatten, walk } from '@superhero/deep'
 
 suite('@superhero/deep', () =>
 {
   test('All functions are accessible as a member to the default import object', () =>
   {
-    assert.ok('function' === typeof deep.assign,  'Shold export the assign function')
-    assert.ok('function' === typeof deep.clone,   'Shold export the clone function')
-    assert.ok('function' === typeof deep.freeze,  'Shold export the freeze function')
-    assert.ok('function' === typeof deep.merge,   'Shold export the merge function')
+    assert.ok('function' === typeof deep.assign,     'Shold export the assign function')
+    assert.ok('function' === typeof deep.clone,      'Shold export the clone function')
+    assert.ok('function' === typeof deep.diff,       'Shold export the diff function')
+    assert.ok('function' === typeof deep.except,     'Shold export the except function')
+    assert.ok('function' === typeof deep.flatten,    'Shold export the flatten function')
+    assert.ok('function' === typeof deep.freeze,     'Shold export the freeze function')
+    assert.ok('function' === typeof deep.hash,       'Shold export the hash function')
+    assert.ok('function' === typeof deep.merge,      'Shold export the merge function')
+    assert.ok('function' === typeof deep.observe,    'Shold export the observe function')
+    assert.ok('function' === typeof deep.omit,       'Shold export the omit function')
+    assert.ok('function' === typeof deep.patch,      'Shold export the patch function')
+    assert.ok('function' === typeof deep.pick,       'Shold export the pick function')
+    assert.ok('function' === typeof deep.produce,    'Shold export the produce function')
+    assert.ok('function' === typeof deep.readonly,   'Shold export the readonly function')
+    assert.ok('function' === typeof deep.transform,  'Shold export the transform function')
+    assert.ok('function' === typeof deep.unflatten,  'Shold export the unflatten function')
+    assert.ok('function' === typeof deep.walk,       'Shold export the walk function')
   })
 
   test('All functions are accessible to import from the default import object', () =>
   {
-    assert.ok('function' === typeof assign, 'Shold export the assign function')
-    assert.ok('function' === typeof clone,  'Shold export the clone function')
-    assert.ok('function' === typeof freeze, 'Shold export the freeze function')
-    assert.ok('function' === typeof merge,  'Shold export the merge function')
+    assert.ok('function' === typeof assign,    'Shold export the assign function')
+    assert.ok('function' === typeof clone,     'Shold export the clone function')
+    assert.ok('function' === typeof diff,      'Shold export the diff function')
+    assert.ok('function' === typeof except,    'Shold export the except function')
+    assert.ok('function' === typeof flatten,   'Shold export the flatten function')
+    assert.ok('function' === typeof freeze,    'Shold export the freeze function')
+    assert.ok('function' === typeof hash,      'Shold export the hash function')
+    assert.ok('function' === typeof merge,     'Shold export the merge function')
+    assert.ok('function' === typeof observe,   'Shold export the observe function')
+    assert.ok('function' === typeof omit,      'Shold export the omit function')
+    assert.ok('function' === typeof patch,     'Shold export the patch function')
+    assert.ok('function' === typeof pick,      'Shold export the pick function')
+    assert.ok('function' === typeof produce,   'Shold export the produce function')
+    assert.ok('function' === typeof readonly,  'Shold export the readonly function')
+    assert.ok('function' === typeof transform, 'Shold export the transform function')
+    assert.ok('function' === typeof unflatten, 'Shold export the unflatten function')
+    assert.ok('function' === typeof walk,      'Shold export the walk function')
+  })
+
+  test('The path helpers are accessible as members of the exported path object', () =>
+  {
+    assert.ok('function' === typeof deep.path.get,  'Shold export the path get function')
+    assert.ok('function' === typeof path.set,       'Shold export the path set function')
+    assert.ok('function' === typeof path.has,       'Shold export the path has function')
+    assert.ok('function' === typeof path.remove,    'Shold export the path remove function')
+  })
+
+  test('The serialize helpers are accessible as members of the exported serialize object', () =>
+  {
+    assert.ok('function' === typeof deep.serialize.stringify, 'Shold export the serialize stringify function')
+    assert.ok('function' === typeof serialize.parse,          'Shold export the serialize parse function')
   })
 })
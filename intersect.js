@@ -1,3 +1,5 @@
+import deepequal from '@superhero/deep/equal'
+
 /**
  * When intersecting two arrays [object Array], the result is a new array
  * containing only values present in both arrays. Duplicate values are removed.
@@ -19,22 +21,90 @@
  * 
  * ----------------------------------------------------------------------------
  * 
+ * When intersecting two sets [object Set], the result is a new set with the
+ * members present in both sets.
+ * 
+ * @example intersecting new Set([1, 2]) and new Set([2, 3]) results in
+ * new Set([2]).
+ * 
+ * ----------------------------------------------------------------------------
+ * 
+ * When intersecting two maps [object Map], the result is a new map with the
+ * keys present in both maps, and whose values are also intersecting.
+ * 
+ * @example intersecting new Map([['foo', { bar: 1, baz: 2 }]]) and
+ * new Map([['foo', { bar: 1 }]]) results in new Map([['foo', { bar: 1 }]]).
+ * 
+ * ----------------------------------------------------------------------------
+ * 
  * When the types differ, no value is intersected.
  * 
  * @example intersecting a string and an object results in no match.
  */
 export default function intersect(a, b, ...c)
 {
+  return intersectWith({}, a, b, ...c)
+}
+
+/**
+ * Intersects the same way as the default intersect function, but with
+ * options.
+ *
+ * Arrays are intersected by the strategy defined by the "array" option:
+ * - "byIndex"  keeps the values present in both arrays, and intersects the
+ *              nested objects sharing the same index, the default.
+ * - "byKey"    keeps the values present in both arrays, and intersects the
+ *              object elements sharing the same key, regardless of their
+ *              position, where the key is defined by the "key" option, either
+ *              as the name of the identifying property or as a function that
+ *              returns the identity of an element.
+ * - "byEqual"  keeps the elements that are deeply equal to an element of the
+ *              other array, regardless of their position.
+ *
+ * The "order" option defines if the intersected array follows the order of
+ * the first array "a", the default, or the second array "b".
+ *
+ * @example intersectWith({ array: 'byKey', key: 'id', order: 'b' }, a, b)
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Sets are intersected by the strategy defined by the "set" option:
+ * - "byValue"  keeps the members present in both sets, the default.
+ * - "byEqual"  keeps the members that are deeply equal to a member of the
+ *              other set, which matches members that are objects by their
+ *              content rather than by their reference.
+ *
+ * @example intersectWith({ set: 'byEqual' }, a, b)
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Circular structures are intersected into an output with the same circular
+ * references, by default. The "circular" option set to "throw" instead
+ * throws a CircularReferenceError when a structure refers back to itself.
+ *
+ * @example intersectWith({ circular: 'throw' }, a, b)
+ */
+export function intersectWith(options, a, b, ...c)
+{
+  options.array     = options.array     ?? 'byIndex'
+  options.order     = options.order     ?? 'a'
+  options.set       = options.set       ?? 'byValue'
+  options.circular  = options.circular  ?? 'preserve'
+
+  assertArrayStrategy(options)
+  assertSetStrategy(options)
+  assertCircularStrategy(options)
+
   const
     seen = new WeakMap,
-    output = intersectAandB(a, b, seen)
+    output = intersectAandB(a, b, seen, options)
 
   return c.length
-    ? intersect(output, ...c)
+    ? intersectWith(options, output, ...c)
     : output
 }
 
-function intersectAandB(a, b, seen)
+function intersectAandB(a, b, seen, options)
 {
   if(Object.is(a, b))
   {
@@ -52,45 +122,135 @@ function intersectAandB(a, b, seen)
 
   if('[object Array]' === aType)
   {
-    return intersectArray(a, b, seen)
+    return intersectArray(a, b, seen, options)
   }
 
   if('[object Object]' === aType)
   {
-    return intersectObject(a, b, seen)
+    return intersectObject(a, b, seen, options)
+  }
+
+  if('[object Set]' === aType)
+  {
+    return intersectSet(a, b, seen, options)
+  }
+
+  if('[object Map]' === aType)
+  {
+    return intersectMap(a, b, seen, options)
   }
 
   return undefined
 }
 
-function intersectArray(a, b, seen)
+function intersectArray(a, b, seen, options)
 {
   if(hasSeen(a, b, seen))
   {
     return seen.get(a).get(b)
   }
 
+  // the intersected array follows the order of the first of the two arrays,
+  // while the values are always intersected as a and b
   const
-    values = a.map((value, i) => 
-    {
-      if(b.includes(value))
-      {
-        return value
-      }
-
-      if('object' === typeof value)
-      {
-        return intersectAandB(value, b[i], seen)
-      }
-    }),
-    output = values.filter((value) => value !== undefined)
+    [ first, second ] = 'b' === options.order ? [ b, a ] : [ a, b ],
+    intersectPair     = 'b' === options.order
+                      ? (value, other) => intersectAandB(other, value, seen, options)
+                      : (value, other) => intersectAandB(value, other, seen, options)
+
+  const output = []
+
+  preserveCircular(a, b, seen, output, options)
+
+  let values
+
+  switch(options.array)
+  {
+    case 'byIndex'  : values = intersectArrayByIndex(first, second, intersectPair)          ; break
+    case 'byKey'    : values = intersectArrayByKey(first, second, intersectPair, options)   ; break
+    case 'byEqual'  : values = intersectArrayByEqual(first, second)                         ; break
+  }
+
+  output.push(...values.filter((value) => value !== undefined))
 
   seen.get(a).set(b, output)
 
   return output
 }
 
-function intersectObject(a, b, seen)
+function intersectArrayByIndex(first, second, intersectPair)
+{
+  return first.map((value, i) => 
+  {
+    if(second.includes(value))
+    {
+      return value
+    }
+
+    if('object' === typeof value)
+    {
+      return intersectPair(value, second[i])
+    }
+  })
+}
+
+/**
+ * Each element of the second array is matched at most once.
+ */
+function intersectArrayByKey(first, second, intersectPair, options)
+{
+  const unmatched = [...second]
+
+  return first.map((value) =>
+  {
+    const key = keyOf(value, options)
+
+    if(undefined === key)
+    {
+      return second.includes(value) ? value : undefined
+    }
+
+    const i = unmatched.findIndex((other) => Object.is(key, keyOf(other, options)))
+
+    if(-1 !== i)
+    {
+      return intersectPair(value, unmatched.splice(i, 1)[0])
+    }
+  })
+}
+
+/**
+ * Each element of the second array is matched at most once.
+ */
+function intersectArrayByEqual(first, second)
+{
+  const unmatched = [...second]
+
+  return first.map((value) =>
+  {
+    const i = unmatched.findIndex((other) => deepequal(value, other))
+
+    if(-1 !== i)
+    {
+      unmatched.splice(i, 1)
+      return value
+    }
+  })
+}
+
+function keyOf(value, options)
+{
+  if(typeof value !== 'object' || value === null)
+  {
+    return undefined
+  }
+
+  return typeof options.key === 'function'
+    ? options.key(value)
+    : value[options.key]
+}
+
+function intersectObject(a, b, seen, options)
 {
   if(hasSeen(a, b, seen))
   {
@@ -99,6 +259,8 @@ function intersectObject(a, b, seen)
 
   const output = {}
 
+  preserveCircular(a, b, seen, output, options)
+
   for(const key of Object.getOwnPropertyNames(a))
   {
     if(false === (key in b))
@@ -106,7 +268,7 @@ function intersectObject(a, b, seen)
       continue
     }
 
-    const value = intersectAandB(a[key], b[key], seen)
+    const value = intersectAandB(a[key], b[key], seen, options)
 
     if(undefined === value)
     {
@@ -131,6 +293,75 @@ function intersectObject(a, b, seen)
   return output
 }
 
+function intersectSet(a, b, seen, options)
+{
+  if(hasSeen(a, b, seen))
+  {
+    return seen.get(a).get(b)
+  }
+
+  const
+    members = [...b],
+    output  = new Set
+
+  for(const member of a)
+  {
+    if('byEqual' === options.set
+    ? members.some((bMember) => deepequal(member, bMember))
+    : b.has(member))
+    {
+      output.add(member)
+    }
+  }
+
+  seen.get(a).set(b, output)
+
+  return output
+}
+
+function intersectMap(a, b, seen, options)
+{
+  if(hasSeen(a, b, seen))
+  {
+    return seen.get(a).get(b)
+  }
+
+  const output = new Map
+
+  preserveCircular(a, b, seen, output, options)
+
+  for(const [key, value] of a)
+  {
+    if(false === b.has(key))
+    {
+      continue
+    }
+
+    const intersected = intersectAandB(value, b.get(key), seen, options)
+
+    if(undefined !== intersected)
+    {
+      output.set(key, intersected)
+    }
+  }
+
+  seen.get(a).set(b, output)
+
+  return output
+}
+
+/**
+ * Registers the output before the values are intersected, to let a circular
+ * reference resolve to the output, unless circular references should throw.
+ */
+function preserveCircular(a, b, seen, output, options)
+{
+  if('preserve' === options.circular)
+  {
+    seen.get(a).set(b, output)
+  }
+}
+
 function hasSeen(a, b, seen)
 {
   if(false === seen.has(a))
@@ -158,8 +389,63 @@ function hasSeen(a, b, seen)
   return false
 }
 
+function assertArrayStrategy(options)
+{
+  if(false === ['byIndex', 'byKey', 'byEqual'].includes(options.array))
+  {
+    throw new InvalidArrayStrategyError(`Unknown array strategy "${options.array}"`)
+  }
+
+  if('byKey' === options.array
+  && 'string'   !== typeof options.key
+  && 'symbol'   !== typeof options.key
+  && 'function' !== typeof options.key)
+  {
+    throw new InvalidArrayStrategyError('The "byKey" array strategy requires a "key" option')
+  }
+
+  if(false === ['a', 'b'].includes(options.order))
+  {
+    throw new InvalidArrayStrategyError(`Unknown array order "${options.order}", expected "a" or "b"`)
+  }
+}
+
+function assertCircularStrategy(options)
+{
+  if(false === ['preserve', 'throw'].includes(options.circular))
+  {
+    throw new InvalidCircularStrategyError(`Unknown circular strategy "${options.circular}"`)
+  }
+}
+
+function assertSetStrategy(options)
+{
+  if(false === ['byValue', 'byEqual'].includes(options.set))
+  {
+    throw new InvalidSetStrategyError(`Unknown set strategy "${options.set}"`)
+  }
+}
+
 class CircularReferenceError extends ReferenceError
 {
   name = 'CircularReferenceError'
   code = 'E_DEEP_INTERSECT_CIRCULAR_REFERENCE'
+}
+
+class InvalidCircularStrategyError extends TypeError
+{
+  name = 'InvalidCircularStrategyError'
+  code = 'E_DEEP_INTERSECT_INVALID_CIRCULAR_STRATEGY'
+}
+
+class InvalidArrayStrategyError extends TypeError
+{
+  name = 'InvalidArrayStrategyError'
+  code = 'E_DEEP_INTERSECT_INVALID_ARRAY_STRATEGY'
+}
+
+class InvalidSetStrategyError extends TypeError
+{
+  name = 'InvalidSetStrategyError'
+  code = 'E_DEEP_INTERSECT_INVALID_SET_STRATEGY'
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
-import assert           from 'assert'
-import { suite, test }  from 'node:test'
-import deepintersect    from '@superhero/deep/intersect'
+import assert             from 'assert'
+import { suite, test }    from 'node:test'
+import deepintersect      from '@superhero/deep/intersect'
+import { intersectWith }  from '@superhero/deep/intersect'
 
 suite('@superhero/deep/intersect', () =>
 {
@@ -77,7 +78,7 @@ suite('@superhero/deep/intersect', () =>
     a.self = a
     b.self = b
 
-    assert.throws(() => deepintersect(a, b), {
+    assert.throws(() => intersectWith({ circular: 'throw' }, a, b), {
       name: 'CircularReferenceError',
       code: 'E_DEEP_INTERSECT_CIRCULAR_REFERENCE'
     }, 'Circular references should throw CircularReferenceError')
@@ -126,4 +127,193 @@ suite('@superhero/deep/intersect', () =>
     const result = deepintersect(a, b, c)
     assert.deepStrictEqual(result, expected, 'Multiple objects should intersect sequentially')
   })
+
+  test('Intersects sets by value', () =>
+  {
+    const
+      member    = { foo: 1 },
+      a         = new Set([1, 2, 3, member, { bar: 1 }]),
+      b         = new Set([2, 3, 4, member, { bar: 1 }]),
+      expected  = new Set([2, 3, member])
+
+    const result = deepintersect(a, b)
+    assert.deepStrictEqual(result, expected, 'Only members present in both sets should intersect')
+    assert.ok([...result].includes(member), 'Members should keep their reference')
+  })
+
+  test('Intersects sets by deep equality', () =>
+  {
+    const
+      a         = new Set([1, { foo: 1 }, { bar: 1 }]),
+      b         = new Set([1, { foo: 1 }, { bar: 2 }]),
+      expected  = new Set([1, { foo: 1 }])
+
+    const result = intersectWith({ set: 'byEqual' }, a, b)
+    assert.deepStrictEqual(result, expected, 'Members deeply equal to a member of the other set should intersect')
+  })
+
+  test('Intersects maps by key and value', () =>
+  {
+    const
+      a         = new Map([['foo', { bar: 1, baz: 2 }], ['qux', 1], ['quux', 1]]),
+      b         = new Map([['foo', { bar: 1 }],         ['qux', 1], ['quux', 2]]),
+      expected  = new Map([['foo', { bar: 1 }],         ['qux', 1]])
+
+    const result = deepintersect(a, b)
+    assert.deepStrictEqual(result, expected, 'Maps should intersect by key, and the values recursively')
+  })
+
+  test('Intersects sets and maps nested in objects', () =>
+  {
+    const
+      a         = { set: new Set([1, 2]), map: new Map([['foo', [1, 2]]]) },
+      b         = { set: new Set([2, 3]), map: new Map([['foo', [1, 3]]]) },
+      expected  = { set: new Set([2]),    map: new Map([['foo', [1]]]) }
+
+    const result = deepintersect(a, b)
+    assert.deepStrictEqual(result, expected, 'Nested sets and maps should intersect')
+  })
+
+  test('Throws on circular references in maps', () =>
+  {
+    const
+      a = new Map,
+      b = new Map
+
+    a.set('self', a)
+    b.set('self', b)
+
+    assert.throws(() => intersectWith({ circular: 'throw' }, a, b), { code: 'E_DEEP_INTERSECT_CIRCULAR_REFERENCE' })
+  })
+
+  test('Throws on an unknown set strategy', () =>
+  {
+    assert.throws(() => intersectWith({ set: 'foo' }, new Set, new Set), { code: 'E_DEEP_INTERSECT_INVALID_SET_STRATEGY' })
+  })
+
+  test('Intersects array elements by key regardless of position', () =>
+  {
+    const
+      a         = [{ id: 1, foo: 1, bar: 1 }, { id: 2, foo: 2 }, 'baz'],
+      b         = ['baz', { id: 3, foo: 3 }, { id: 1, foo: 1 }],
+      expected  = [{ id: 1, foo: 1 }, 'baz']
+
+    const result = intersectWith({ array: 'byKey', key: 'id' }, a, b)
+    assert.deepStrictEqual(result, expected, 'Elements sharing the same key should intersect')
+  })
+
+  test('Intersects array elements by a key function', () =>
+  {
+    const
+      a         = [{ resource: 'user', action: 'read' }, { resource: 'user', action: 'write' }],
+      b         = [{ resource: 'post', action: 'read' }, { resource: 'user', action: 'read' }],
+      key       = ({ resource, action }) => `${resource}:${action}`,
+      expected  = [{ resource: 'user', action: 'read' }]
+
+    const result = intersectWith({ array: 'byKey', key }, a, b)
+    assert.deepStrictEqual(result, expected, 'Elements sharing the same key should intersect')
+  })
+
+  test('Intersects array elements by deep equality regardless of position', () =>
+  {
+    const
+      a         = [{ foo: 1 }, { foo: 2 }, [3], 4],
+      b         = [4, [3], { foo: 1, bar: 1 }, { foo: 2 }],
+      expected  = [{ foo: 2 }, [3], 4]
+
+    const result = intersectWith({ array: 'byEqual' }, a, b)
+    assert.deepStrictEqual(result, expected, 'Only deeply equal elements should intersect')
+  })
+
+  test('Matches each array element at most once', () =>
+  {
+    const result = intersectWith({ array: 'byEqual' }, [{ foo: 1 }, { foo: 1 }], [{ foo: 1 }])
+    assert.deepStrictEqual(result, [{ foo: 1 }], 'An element should only be matched once')
+  })
+
+  test('Orders the intersected array by the first or the second array', () =>
+  {
+    const
+      a = [{ id: 1 }, { id: 2 }, { id: 3 }],
+      b = [{ id: 3 }, { id: 1 }]
+
+    assert.deepStrictEqual(intersectWith({ array: 'byKey', key: 'id' },              a, b), [{ id: 1 }, { id: 3 }])
+    assert.deepStrictEqual(intersectWith({ array: 'byKey', key: 'id', order: 'b' },  a, b), [{ id: 3 }, { id: 1 }])
+    assert.deepStrictEqual(intersectWith({ array: 'byEqual', order: 'b' },           a, b), [{ id: 3 }, { id: 1 }])
+    assert.deepStrictEqual(intersectWith({ order: 'b' }, [1, 2, 3], [3, 2]),                [3, 2])
+  })
+
+  test('Throws on an unknown array strategy', () =>
+  {
+    assert.throws(() => intersectWith({ array: 'foo' },     [], []), { code: 'E_DEEP_INTERSECT_INVALID_ARRAY_STRATEGY' })
+    assert.throws(() => intersectWith({ array: 'byKey' },   [], []), { code: 'E_DEEP_INTERSECT_INVALID_ARRAY_STRATEGY' })
+    assert.throws(() => intersectWith({ order: 'c' },       [], []), { code: 'E_DEEP_INTERSECT_INVALID_ARRAY_STRATEGY' })
+  })
+
+  test('Intersects circular references', () =>
+  {
+    const
+      a = { foo: 1, bar: 2 },
+      b = { foo: 1, baz: 3 }
+
+    a.self = a
+    b.self = b
+
+    const result = deepintersect(a, b)
+    assert.strictEqual(result.foo,  1)
+    assert.strictEqual(result.self, result, 'The output should refer back to itself')
+    assert.deepStrictEqual(Object.keys(result), ['foo', 'self'])
+  })
+
+  test('Intersects parent and child trees', () =>
+  {
+    const tree = (name, extra) =>
+    {
+      const
+        parent = { name, extra, children: [] },
+        child  = { name: 'child', extra, parent }
+
+      parent.children.push(child)
+      return parent
+    }
+
+    const
+      a       = tree('root', 1),
+      b       = tree('root', 2),
+      result  = deepintersect(a, b)
+
+    assert.strictEqual(result.name,                     'root')
+    assert.strictEqual(result.extra,                    undefined)
+    assert.strictEqual(result.children[0].name,         'child')
+    assert.strictEqual(result.children[0].parent,       result, 'The child should refer back to the intersected parent')
+  })
+
+  test('Intersects circular references in maps and arrays', () =>
+  {
+    const
+      a = new Map([['foo', 1]]),
+      b = new Map([['foo', 1]]),
+      c = [1, 2],
+      d = [1, 3]
+
+    a.set('self', a)
+    b.set('self', b)
+    c.push(c)
+    d.push(d)
+
+    const
+      map   = deepintersect(a, b),
+      array = deepintersect(c, d)
+
+    assert.strictEqual(map.get('foo'),  1)
+    assert.strictEqual(map.get('self'), map)
+    assert.strictEqual(array[0],        1)
+    assert.strictEqual(array[1],        array)
+    assert.strictEqual(array.length,    2)
+  })
+
+  test('Throws on an unknown circular strategy', () =>
+  {
+    assert.throws(() => intersectWith({ circular: 'foo' }, {}, {}), { code: 'E_DEEP_INTERSECT_INVALID_CIRCULAR_STRATEGY' })
+  })
 })
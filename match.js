@@ -0,0 +1,88 @@
+/**
+ * Matches a path against a path pattern.
+ *
+ * The path is an array of keys, the pattern is either a dot-notated string
+ * or an array of segments. The "*" segment matches any single key, and the
+ * "**" segment matches any number of keys, including none.
+ *
+ * @example match(['server', 'plugins'], 'server.plugins') is true.
+ * @example match(['db', 'main', 'password'], 'db.*.password') is true.
+ * @example match(['a', 'b', 'token'], '**.token') is true.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Keys are compared to the segments by their string representation, except
+ * for symbols, that only match the same symbol or a wildcard segment.
+ *
+ * @example match([0, 'id'], 'list.0.id') is false.
+ * @example match(['list', 0, 'id'], 'list.0.id') is true.
+ */
+export default function match(path, pattern)
+{
+  const segments = typeof pattern === 'string'
+                 ? pattern.split('.')
+                 : pattern
+
+  return matchSegments(path, 0, segments, 0, false)
+}
+
+/**
+ * Matches a path against a path pattern, where the path is also matching if
+ * it is the beginning of a path that could match the pattern.
+ *
+ * @example matchPrefix(['db'], 'db.*.password') is true.
+ * @example matchPrefix(['db', 'main'], 'db.*.password') is true.
+ * @example matchPrefix(['server'], 'db.*.password') is false.
+ */
+export function matchPrefix(path, pattern)
+{
+  const segments = typeof pattern === 'string'
+                 ? pattern.split('.')
+                 : pattern
+
+  return matchSegments(path, 0, segments, 0, true)
+}
+
+function matchSegments(path, i, segments, j, prefix)
+{
+  if(prefix
+  && i === path.length)
+  {
+    return true
+  }
+
+  if(j === segments.length)
+  {
+    return i === path.length
+  }
+
+  if('**' === segments[j])
+  {
+    for(let k = i; k <= path.length; k++)
+    {
+      if(matchSegments(path, k, segments, j + 1, prefix))
+      {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  return i < path.length
+      && matchSegment(path[i], segments[j])
+      && matchSegments(path, i + 1, segments, j + 1, prefix)
+}
+
+function matchSegment(key, segment)
+{
+  if('*' === segment
+  || key === segment)
+  {
+    return true
+  }
+
+  return typeof key     !== 'symbol'
+      && typeof segment !== 'symbol'
+      && String(key) === String(segment)
+}
@@ -0,0 +1,58 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import match            from '@superhero/deep/match'
+import { matchPrefix }  from '@superhero/deep/match'
+
+suite('@superhero/deep/match', () =>
+{
+  test('Matches exact paths', () =>
+  {
+    assert.strictEqual(match(['server', 'plugins'], 'server.plugins'),  true)
+    assert.strictEqual(match(['server', 'headers'], 'server.plugins'),  false)
+    assert.strictEqual(match(['server'],            'server.plugins'),  false)
+    assert.strictEqual(match(['server', 'plugins', 'foo'], 'server.plugins'), false)
+  })
+
+  test('Matches a single key with "*"', () =>
+  {
+    assert.strictEqual(match(['db', 'main', 'password'],  'db.*.password'), true)
+    assert.strictEqual(match(['db', 'password'],          'db.*.password'), false)
+    assert.strictEqual(match(['db', 'a', 'b', 'password'], 'db.*.password'), false)
+  })
+
+  test('Matches any number of keys with "**"', () =>
+  {
+    assert.strictEqual(match(['token'],                   '**.token'),    true)
+    assert.strictEqual(match(['a', 'b', 'token'],         '**.token'),    true)
+    assert.strictEqual(match(['a', 'b', 'token', 'c'],    '**.token'),    false)
+    assert.strictEqual(match(['a', 'b', 'c'],             'a.**'),        true)
+    assert.strictEqual(match(['a', 'x', 'y', 'b'],        'a.**.b'),      true)
+  })
+
+  test('Matches numeric keys by their string representation', () =>
+  {
+    assert.strictEqual(match(['list', 0, 'id'], 'list.0.id'), true)
+    assert.strictEqual(match(['list', 1, 'id'], 'list.0.id'), false)
+  })
+
+  test('Matches segments defined as an array', () =>
+  {
+    const sym = Symbol('test')
+
+    assert.strictEqual(match(['a.b', 'c'],  ['a.b', 'c']),  true)
+    assert.strictEqual(match(['a', sym],    ['a', sym]),    true)
+    assert.strictEqual(match(['a', sym],    ['a', '*']),    true)
+    assert.strictEqual(match(['a', sym],    'a.Symbol(test)'), false, 'Symbols should only match the same symbol')
+  })
+
+  test('Matches the beginning of a path that could match', () =>
+  {
+    assert.strictEqual(matchPrefix([],                          'db.*.password'), true)
+    assert.strictEqual(matchPrefix(['db'],                      'db.*.password'), true)
+    assert.strictEqual(matchPrefix(['db', 'main'],              'db.*.password'), true)
+    assert.strictEqual(matchPrefix(['db', 'main', 'password'],  'db.*.password'), true)
+    assert.strictEqual(matchPrefix(['server'],                  'db.*.password'), false)
+    assert.strictEqual(matchPrefix(['db', 'main', 'user'],      'db.*.password'), false)
+    assert.strictEqual(matchPrefix(['a', 'b', 'c'],             '**.token'),      true)
+  })
+})
@@ -1,17 +1,53 @@
-import deepclone from '@superhero/deep/clone'
+import deepclone        from '@superhero/deep/clone'
+import { isCloneable }  from '@superhero/deep/clone'
+import match            from '@superhero/deep/match'
 
 export default function merge(a, b, ...c)
 {
+  return mergeWith({}, a, b, ...c)
+}
+
+/**
+ * Merges the same way as the default merge function, but with options.
+ *
+ * Arrays are merged by the strategy defined by the "array" option:
+ * - "union"    concatenates and removes duplicate values, the default.
+ * - "replace"  replaces the array with the latter array.
+ * - "concat"   concatenates and keeps duplicate values.
+ * - "byIndex"  deep-merges the elements sharing the same index.
+ * - "byKey"    deep-merges the object elements sharing the same key, where
+ *              the key is defined by the "key" option, either as the name
+ *              of the identifying property or as a function that returns
+ *              the identity of an element.
+ *
+ * @example mergeWith({ array: 'byKey', key: 'id' }, a, b)
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Values present on both sides can be merged by custom resolvers, defined
+ * by the "resolvers" option as an object or a map, keyed by path patterns.
+ * The first resolver with a pattern matching the path of the value is called
+ * with both values and the path, and returns the merged value. Values not
+ * matched by any pattern are merged the default way.
+ *
+ * @example mergeWith({ resolvers: { 'server.plugins': (a, b) => b } }, a, b)
+ */
+export function mergeWith(options, a, b, ...c)
+{
+  options.array = options.array ?? 'union'
+
+  assertArrayStrategy(options)
+
   const
     seen    = new WeakSet,
-    output  = mergeAandB(a, b, seen)
+    output  = mergeAandB(a, b, seen, options, [])
 
   return c.length
-  ? merge(output, ...c)
+  ? mergeWith(options, output, ...c)
   : deepclone(output, { preservesImutable: true })
 }
 
-function mergeAandB(a, b, seen)
+function mergeAandB(a, b, seen, options, path)
 {
   if(b === undefined)
   {
@@ -23,6 +59,21 @@ function mergeAandB(a, b, seen)
     return a
   }
 
+  const resolver = findResolver(path, options)
+
+  if(resolver)
+  {
+    return resolver(a, b, path)
+  }
+
+  // an object that defines its own clone protocol can hold state that is
+  // not reachable by a structural merge, and is therefore not merged
+  if(isCloneable(a)
+  || isCloneable(b))
+  {
+    return b
+  }
+
   const
     aType = Object.prototype.toString.call(a),
     bType = Object.prototype.toString.call(b)
@@ -30,13 +81,13 @@ function mergeAandB(a, b, seen)
   if('[object Array]' === aType
   && '[object Array]' === bType)
   {
-    return mergeArray(a, b)
+    return mergeArray(a, b, seen, options, path)
   }
 
   if('[object Object]' === aType
   && '[object Object]' === bType)
   {
-    return mergeObject(a, b, seen)
+    return mergeObject(a, b, seen, options, path)
   }
 
   if('[object Set]' === aType
@@ -48,15 +99,126 @@ function mergeAandB(a, b, seen)
   if('[object Map]' === aType
   && '[object Map]' === bType)
   {
-    return mergeMap(a, b, seen)
+    return mergeMap(a, b, seen, options, path)
   }
 
   return b
 }
 
-function mergeArray(a, b)
+function mergeArray(a, b, seen, options, path)
+{
+  switch(options.array)
+  {
+    case 'union'    : return [...new Set(a.concat(b))]
+    case 'replace'  : return b
+    case 'concat'   : return a.concat(b)
+    case 'byIndex'  : return mergeArrayByIndex(a, b, seen, options, path)
+    case 'byKey'    : return mergeArrayByKey(a, b, seen, options, path)
+  }
+}
+
+function mergeArrayByIndex(a, b, seen, options, path)
+{
+  if(seen.has(a))
+  {
+    return b
+  }
+
+  seen.add(a)
+
+  const output = new Array(Math.max(a.length, b.length))
+
+  for(let i = 0; i < output.length; i++)
+  {
+    output[i] = i < a.length
+              ? mergeAandB(a[i], b[i], seen, options, [...path, i])
+              : b[i]
+  }
+
+  return output
+}
+
+function mergeArrayByKey(a, b, seen, options, path)
+{
+  if(seen.has(a))
+  {
+    return b
+  }
+
+  seen.add(a)
+
+  const
+    output  = [...a],
+    indexes = new Map
+
+  for(let i = 0; i < output.length; i++)
+  {
+    const key = keyOf(output[i], options)
+
+    if(undefined !== key
+    && false === indexes.has(key))
+    {
+      indexes.set(key, i)
+    }
+  }
+
+  for(const value of b)
+  {
+    const key = keyOf(value, options)
+
+    if(undefined === key)
+    {
+      // elements without an identity are merged as a union
+      if(false === output.includes(value))
+      {
+        output.push(value)
+      }
+    }
+    else if(indexes.has(key))
+    {
+      const i = indexes.get(key)
+      output[i] = mergeAandB(output[i], value, seen, options, [...path, i])
+    }
+    else
+    {
+      indexes.set(key, output.push(value) - 1)
+    }
+  }
+
+  return output
+}
+
+function findResolver(path, options)
 {
-  return [...new Set(a.concat(b))]
+  if(0 === path.length
+  || undefined === options.resolvers)
+  {
+    return
+  }
+
+  const resolvers = options.resolvers instanceof Map
+                  ? options.resolvers
+                  : Object.entries(options.resolvers)
+
+  for(const [pattern, resolver] of resolvers)
+  {
+    if(match(path, pattern))
+    {
+      return resolver
+    }
+  }
+}
+
+function keyOf(value, options)
+{
+  if(typeof value !== 'object' || value === null)
+  {
+    return undefined
+  }
+
+  return typeof options.key === 'function'
+    ? options.key(value)
+    : value[options.key]
 }
 
 function mergeSet(a, b)
@@ -64,7 +226,7 @@ function mergeSet(a, b)
   return new Set([...a, ...b])
 }
 
-function mergeMap(a, b, seen)
+function mergeMap(a, b, seen, options, path)
 {
   if(seen.has(a))
   {
@@ -80,7 +242,7 @@ function mergeMap(a, b, seen)
     if(output.has(key))
     {
       const aValue = output.get(key)
-      output.set(key, mergeAandB(aValue, bValue, seen))
+      output.set(key, mergeAandB(aValue, bValue, seen, options, [...path, key]))
     }
     else
     {
@@ -90,7 +252,7 @@ function mergeMap(a, b, seen)
 
   return output
 }
-function mergeObject(a, b, seen)
+function mergeObject(a, b, seen, options, path)
 {
   if(seen.has(a))
   {
@@ -129,7 +291,7 @@ function mergeObject(a, b, seen)
         continue
       }
 
-      Object.defineProperty(output, key, mergeDescriptor(da, db, seen))
+      Object.defineProperty(output, key, mergeDescriptor(da, db, seen, options, [...path, key]))
     }
     else
     {
@@ -144,7 +306,7 @@ function mergeObject(a, b, seen)
   return output
 }
 
-function mergeDescriptor(da, db, seen)
+function mergeDescriptor(da, db, seen, options, path)
 {
   const enumerable   = (da.enumerable   ?? true) && (db.enumerable   ?? true)
   const configurable = (da.configurable ?? true) && (db.configurable ?? true)
@@ -161,7 +323,7 @@ function mergeDescriptor(da, db, seen)
       enumerable,
       configurable,
       writable,
-      value: mergeAandB(da.value, db.value, seen)
+      value: mergeAandB(da.value, db.value, seen, options, path)
     }
   }
 
@@ -196,3 +358,25 @@ function mergeDescriptor(da, db, seen)
     set: db.set
   }
 }
+
+function assertArrayStrategy(options)
+{
+  if(false === ['union', 'replace', 'concat', 'byIndex', 'byKey'].includes(options.array))
+  {
+    throw new InvalidArrayStrategyError(`Unknown array strategy "${options.array}"`)
+  }
+
+  if('byKey' === options.array
+  && 'string'   !== typeof options.key
+  && 'symbol'   !== typeof options.key
+  && 'function' !== typeof options.key)
+  {
+    throw new InvalidArrayStrategyError('The "byKey" array strategy requires a "key" option')
+  }
+}
+
+class InvalidArrayStrategyError extends TypeError
+{
+  name = 'InvalidArrayStrategyError'
+  code = 'E_DEEP_MERGE_INVALID_ARRAY_STRATEGY'
+}
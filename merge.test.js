@@ -1,6 +1,8 @@
 import assert           from 'assert'
 import { suite, test }  from 'node:test'
 import deepmerge        from '@superhero/deep/merge'
+import { mergeWith }    from '@superhero/deep/merge'
+import { cloneSymbol }  from '@superhero/deep/clone'
 
 suite('@superhero/deep/merge', () =>
 {
@@ -407,4 +409,158 @@ suite('@superhero/deep/merge', () =>
     assert.strictEqual(inner.get('self'), inner)
   })
 
+  test('Does not structurally merge objects implementing the clone protocol', () =>
+  {
+    class Secret
+    {
+      #value
+
+      constructor(value)
+      {
+        this.#value = value
+      }
+
+      get value()
+      {
+        return this.#value
+      }
+
+      [cloneSymbol]()
+      {
+        return new Secret(this.#value)
+      }
+    }
+
+    const
+      a       = { secret: new Secret('foo'), bar: 1 },
+      b       = { secret: new Secret('baz') },
+      result  = deepmerge(a, b)
+
+    assert.ok(result.secret instanceof Secret)
+    assert.notStrictEqual(result.secret, b.secret, 'Should be cloned through the clone protocol')
+    assert.strictEqual(result.secret.value, 'baz')
+    assert.strictEqual(result.bar, 1)
+  })
+
+  suite('Array strategies', () =>
+  {
+    test('Merges arrays as a union by default', () =>
+    {
+      const result = mergeWith({}, [1, 2], [2, 3])
+      assert.deepStrictEqual(result, [1, 2, 3])
+    })
+
+    test('Replaces arrays', () =>
+    {
+      const result = mergeWith({ array: 'replace' }, { foo: [1, 2] }, { foo: [3] })
+      assert.deepStrictEqual(result, { foo: [3] })
+    })
+
+    test('Concatenates arrays and keeps duplicate values', () =>
+    {
+      const result = mergeWith({ array: 'concat' }, [1, 2], [2, 3])
+      assert.deepStrictEqual(result, [1, 2, 2, 3])
+    })
+
+    test('Merges arrays by index', () =>
+    {
+      const
+        a         = [{ foo: 1 }, 'bar', { baz: 1 }],
+        b         = [{ qux: 2 }, 'quux'],
+        expected  = [{ foo: 1, qux: 2 }, 'quux', { baz: 1 }]
+
+      assert.deepStrictEqual(mergeWith({ array: 'byIndex' }, a, b), expected)
+      assert.deepStrictEqual(mergeWith({ array: 'byIndex' }, b, a), [{ qux: 2, foo: 1 }, 'bar', { baz: 1 }])
+    })
+
+    test('Merges arrays by key', () =>
+    {
+      const
+        a         = [{ id: 1, foo: 1 }, { id: 2, foo: 2 }, 'bar'],
+        b         = [{ id: 2, baz: 3 }, { id: 3, foo: 4 }, 'bar', 'qux'],
+        expected  = [{ id: 1, foo: 1 }, { id: 2, foo: 2, baz: 3 }, 'bar', { id: 3, foo: 4 }, 'qux']
+
+      assert.deepStrictEqual(mergeWith({ array: 'byKey', key: 'id' }, a, b), expected)
+      assert.deepStrictEqual(mergeWith({ array: 'byKey', key: (element) => element.id }, a, b), expected)
+    })
+
+    test('Applies the strategy to nested arrays and sequential merges', () =>
+    {
+      const
+        a         = { routes: [{ path: '/a', handler: 'a' }] },
+        b         = { routes: [{ path: '/a', method: 'get' }] },
+        c         = { routes: [{ path: '/b', handler: 'b' }] },
+        expected  = { routes: [{ path: '/a', handler: 'a', method: 'get' }, { path: '/b', handler: 'b' }] }
+
+      assert.deepStrictEqual(mergeWith({ array: 'byKey', key: 'path' }, a, b, c), expected)
+    })
+
+    test('Throws on an invalid strategy', () =>
+    {
+      assert.throws(() => mergeWith({ array: 'unknown' }, [], []),
+      {
+        name: 'InvalidArrayStrategyError',
+        code: 'E_DEEP_MERGE_INVALID_ARRAY_STRATEGY'
+      })
+
+      assert.throws(() => mergeWith({ array: 'byKey' }, [], []),
+      {
+        code: 'E_DEEP_MERGE_INVALID_ARRAY_STRATEGY'
+      }, 'Should require the key option')
+    })
+  })
+
+  suite('Resolvers', () =>
+  {
+    test('Resolves values by path pattern', () =>
+    {
+      const
+        levels    = ['error', 'warn', 'info', 'debug'],
+        verbose   = (a, b) => levels.indexOf(a) > levels.indexOf(b) ? a : b,
+        a         = { server: { plugins: ['a', 'b'], headers: { foo: 1 } }, logging: { level: 'debug' } },
+        b         = { server: { plugins: ['c'],      headers: { bar: 2 } }, logging: { level: 'warn' } },
+        expected  = { server: { plugins: ['c'],      headers: { foo: 1, bar: 2 } }, logging: { level: 'debug' } },
+        options   =
+        {
+          resolvers:
+          {
+            'server.plugins'  : (a, b) => b,
+            'logging.level'   : verbose
+          }
+        }
+
+      assert.deepStrictEqual(mergeWith(options, a, b), expected)
+    })
+
+    test('Calls the resolver with both values and the path', () =>
+    {
+      const calls = []
+
+      mergeWith({ array: 'byIndex', resolvers: new Map([['**.id', (...args) => calls.push(args)]]) },
+        { list: [{ id: 1 }], map: new Map([['foo', { id: 2 }]]) },
+        { list: [{ id: 3 }], map: new Map([['foo', { id: 4 }]]) })
+
+      assert.deepStrictEqual(calls,
+      [
+        [1, 3, ['list', 0, 'id']],
+        [2, 4, ['map', 'foo', 'id']]
+      ])
+    })
+
+    test('Does not call resolvers for values only present on one side', () =>
+    {
+      const result = mergeWith({ resolvers: { '*': () => assert.fail('Should not be called') } }, { foo: 1 }, { bar: 2 })
+      assert.deepStrictEqual(result, { foo: 1, bar: 2 })
+    })
+
+    test('Matches wildcard patterns', () =>
+    {
+      const
+        a         = { db: { main: { password: 'a', host: 'a' }, replica: { password: 'a' } } },
+        b         = { db: { main: { password: 'b', host: 'b' }, replica: { password: 'b' } } },
+        expected  = { db: { main: { password: 'a', host: 'b' }, replica: { password: 'a' } } }
+
+      assert.deepStrictEqual(mergeWith({ resolvers: { 'db.*.password': (a) => a } }, a, b), expected)
+    })
+  })
 })
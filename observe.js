@@ -0,0 +1,410 @@
+import { view, readProperty, readMap, readSet, unwrap } from '@superhero/deep/readonly'
+
+/**
+ * Returns an observed view of the value, where every deep change made
+ * through the view is reported to the listener. The view writes to the
+ * original value, and nested values are wrapped lazily when read, the same
+ * way as by the readonly function.
+ *
+ * Each change describes:
+ * - "type"     the type of change, "set", "delete", "splice" or "add".
+ * - "path"     the keys from the observed value to the changed value.
+ * - "oldValue" the value before the change.
+ * - "newValue" the value after the change.
+ *
+ * @example observe(config, (changes) => console.log(changes)).db.port = 5432
+ * logs [{ type: 'set', path: ['db', 'port'], oldValue: 3306, newValue: 5432 }]
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The changes made within the same microtask are batched, and reported to
+ * the listener as a list, in the order they were made. A write that does not
+ * change the value is not reported.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Arrays, objects, maps and sets are observed:
+ * - a property that is set, or deleted, is reported as "set" or "delete".
+ * - an array mutated by a method, such as push, splice or sort, or by a
+ *   write to its length, is reported as a single "splice" change with the
+ *   "index" of the change, where the old value is the removed elements, and
+ *   the new value the added elements.
+ * - a map entry that is set, or deleted, is reported as "set" or "delete",
+ *   and a cleared map as a "delete" of each entry.
+ * - a set member that is added, or deleted, is reported as "add" or
+ *   "delete" with the path of the set, and a cleared set as a "delete" of
+ *   each member.
+ *
+ * A change made to the original value, and not through the view, is not
+ * observed.
+ */
+export default function observe(value, listener)
+{
+  assertListener(listener)
+
+  const
+    handlers  = { objectHandler, mapHandler, setHandler },
+    state     = { listener, handlers, views: new WeakMap, targets: new WeakMap, pending: [], active: true }
+
+  return view(value, [], state)
+}
+
+/**
+ * Stops reporting the changes made through the observed view, or any view
+ * nested in it. The changes that are not yet reported are discarded. The
+ * view still writes to the original value.
+ *
+ * @example unobserve(observed)
+ */
+export function unobserve(observed)
+{
+  const state = observed?.[observer]
+
+  if(undefined === state)
+  {
+    throw new NotObservedError('The value is not an observed view')
+  }
+
+  state.active  = false
+  state.pending = []
+}
+
+/**
+ * The key an observed view is read by for the state of the observation.
+ */
+const observer = Symbol('observer')
+
+const arrayMethods = [ 'copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift' ]
+
+/**
+ * Queues the change, and reports the queued changes to the listener at the
+ * end of the current microtask. An error thrown by the listener is rethrown
+ * outside of the microtask, to not interrupt the other microtasks, and the
+ * following changes are still reported.
+ */
+function report(change, state)
+{
+  if(false === state.active)
+  {
+    return
+  }
+
+  if(0 === state.pending.length)
+  {
+    queueMicrotask(() =>
+    {
+      const changes = state.pending
+      state.pending = []
+
+      if(state.active
+      && changes.length)
+      {
+        try
+        {
+          state.listener(changes)
+        }
+        catch(error)
+        {
+          setImmediate(() => { throw error })
+        }
+      }
+    })
+  }
+
+  state.pending.push(change)
+}
+
+function objectHandler(path, state)
+{
+  return {
+    get(target, key, receiver)
+    {
+      if(observer === key)
+      {
+        return state
+      }
+
+      if(Array.isArray(target)
+      && arrayMethods.includes(key))
+      {
+        return (...args) => spliceArray(target, key, args, receiver, path, state)
+      }
+
+      return readProperty(target, key, receiver, path, state)
+    },
+    set(target, key, value)
+    {
+      if(Array.isArray(target)
+      && 'length' === key)
+      {
+        return resizeArray(target, () => Reflect.set(target, key, value), path, state)
+      }
+
+      const
+        existed   = Object.hasOwn(target, key),
+        oldValue  = target[key],
+        newValue  = unwrap(value, state),
+        written   = Reflect.set(target, key, newValue)
+
+      if(written
+      && (false === existed || false === Object.is(oldValue, target[key])))
+      {
+        report({ type: 'set', path: [...path, key], oldValue, newValue: target[key] }, state)
+      }
+
+      return written
+    },
+    defineProperty(target, key, descriptor)
+    {
+      if(Array.isArray(target)
+      && 'length' === key)
+      {
+        return resizeArray(target, () => Reflect.defineProperty(target, key, descriptor), path, state)
+      }
+
+      const
+        existed   = Object.hasOwn(target, key),
+        oldValue  = target[key],
+        defined   = Reflect.defineProperty(target, key, 'value' in descriptor
+                  ? { ...descriptor, value: unwrap(descriptor.value, state) }
+                  : descriptor)
+
+      if(defined
+      && (false === existed || false === Object.is(oldValue, target[key])))
+      {
+        report({ type: 'set', path: [...path, key], oldValue, newValue: target[key] }, state)
+      }
+
+      return defined
+    },
+    deleteProperty(target, key)
+    {
+      const
+        existed   = Object.hasOwn(target, key),
+        oldValue  = target[key],
+        deleted   = Reflect.deleteProperty(target, key)
+
+      if(deleted
+      && existed)
+      {
+        report({ type: 'delete', path: [...path, key], oldValue, newValue: undefined }, state)
+      }
+
+      return deleted
+    }
+  }
+}
+
+/**
+ * Calls the mutating method on the array itself, and reports the difference
+ * between the elements before and after the call as a single splice.
+ */
+function spliceArray(array, method, args, receiver, path, state)
+{
+  const
+    before = [...array],
+    result = Array.prototype[method].apply(array, args.map((arg) => unwrap(arg, state)))
+
+  reportSplice(before, [...array], path, state)
+
+  // a method that returns the array itself returns the view instead
+  return result === array
+    ? receiver
+    : result
+}
+
+/**
+ * A write to the length of an array removes, or adds, elements, and is
+ * reported as a splice, same as a mutating method.
+ */
+function resizeArray(array, write, path, state)
+{
+  const
+    before  = [...array],
+    written = write()
+
+  reportSplice(before, [...array], path, state)
+
+  return written
+}
+
+function reportSplice(before, after, path, state)
+{
+  let start = 0, end = 0
+
+  while(start < before.length
+  &&    start < after.length
+  &&    Object.is(before[start], after[start]))
+  {
+    start++
+  }
+
+  while(end < before.length - start
+  &&    end < after.length  - start
+  &&    Object.is(before[before.length - 1 - end], after[after.length - 1 - end]))
+  {
+    end++
+  }
+
+  const
+    removed = before.slice(start, before.length - end),
+    added   = after.slice(start, after.length - end)
+
+  if(removed.length
+  || added.length)
+  {
+    report({ type: 'splice', path, index: start, oldValue: removed, newValue: added }, state)
+  }
+}
+
+function mapHandler(path, state)
+{
+  return {
+    ...objectHandler(path, state),
+    get(map, method, receiver)
+    {
+      switch(method)
+      {
+        case observer : return state
+        case 'set':
+        {
+          return (key, value) =>
+          {
+            key   = unwrap(key, state)
+            value = unwrap(value, state)
+
+            const
+              existed   = map.has(key),
+              oldValue  = map.get(key)
+
+            map.set(key, value)
+
+            if(false === existed
+            || false === Object.is(oldValue, value))
+            {
+              report({ type: 'set', path: [...path, key], oldValue, newValue: value }, state)
+            }
+
+            return receiver
+          }
+        }
+        case 'delete':
+        {
+          return (key) =>
+          {
+            key = unwrap(key, state)
+
+            const oldValue = map.get(key)
+
+            if(map.delete(key))
+            {
+              report({ type: 'delete', path: [...path, key], oldValue, newValue: undefined }, state)
+              return true
+            }
+
+            return false
+          }
+        }
+        case 'clear':
+        {
+          return () =>
+          {
+            const entries = [...map]
+
+            map.clear()
+
+            for(const [key, oldValue] of entries)
+            {
+              report({ type: 'delete', path: [...path, key], oldValue, newValue: undefined }, state)
+            }
+          }
+        }
+      }
+
+      return readMap(map, method, receiver, path, state)
+    }
+  }
+}
+
+/**
+ * An added or deleted member is reported with the path of the set.
+ */
+function setHandler(path, state)
+{
+  return {
+    ...objectHandler(path, state),
+    get(set, method, receiver)
+    {
+      switch(method)
+      {
+        case observer : return state
+        case 'add':
+        {
+          return (member) =>
+          {
+            member = unwrap(member, state)
+
+            if(false === set.has(member))
+            {
+              set.add(member)
+              report({ type: 'add', path, oldValue: undefined, newValue: member }, state)
+            }
+
+            return receiver
+          }
+        }
+        case 'delete':
+        {
+          return (member) =>
+          {
+            member = unwrap(member, state)
+
+            if(set.delete(member))
+            {
+              report({ type: 'delete', path, oldValue: member, newValue: undefined }, state)
+              return true
+            }
+
+            return false
+          }
+        }
+        case 'clear':
+        {
+          return () =>
+          {
+            const members = [...set]
+
+            set.clear()
+
+            for(const oldValue of members)
+            {
+              report({ type: 'delete', path, oldValue, newValue: undefined }, state)
+            }
+          }
+        }
+      }
+
+      return readSet(set, method, receiver, path, state)
+    }
+  }
+}
+
+function assertListener(listener)
+{
+  if(typeof listener !== 'function')
+  {
+    throw new InvalidListenerError(`Invalid listener of type "${typeof listener}", expected a function`)
+  }
+}
+
+class InvalidListenerError extends TypeError
+{
+  name = 'InvalidListenerError'
+  code = 'E_DEEP_OBSERVE_INVALID_LISTENER'
+}
+
+class NotObservedError extends TypeError
+{
+  name = 'NotObservedError'
+  code = 'E_DEEP_OBSERVE_NOT_OBSERVED'
+}
@@ -0,0 +1,275 @@
+import assert                     from 'assert'
+import { suite, test }            from 'node:test'
+import deepobserve, { unobserve } from '@superhero/deep/observe'
+
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+suite('@superhero/deep/observe', () =>
+{
+  test('Reports a deep set with the path, old value and new value', async () =>
+  {
+    const
+      obj     = { foo: { bar: 1 } },
+      batches = [],
+      view    = deepobserve(obj, (changes) => batches.push(changes))
+
+    view.foo.bar = 2
+
+    assert.strictEqual(obj.foo.bar, 2, 'Should write to the original value')
+    assert.deepStrictEqual(batches, [], 'Should not report before the end of the microtask')
+
+    await tick()
+
+    assert.deepStrictEqual(batches, [[{ type: 'set', path: ['foo', 'bar'], oldValue: 1, newValue: 2 }]])
+  })
+
+  test('Batches the changes made within the same microtask', async () =>
+  {
+    const
+      batches = [],
+      view    = deepobserve({ foo: 1 }, (changes) => batches.push(changes))
+
+    view.foo = 2
+    view.bar = 3
+    delete view.foo
+
+    await tick()
+
+    view.bar = 4
+
+    await tick()
+
+    assert.deepStrictEqual(batches,
+    [
+      [
+        { type: 'set',    path: ['foo'], oldValue: 1,         newValue: 2 },
+        { type: 'set',    path: ['bar'], oldValue: undefined, newValue: 3 },
+        { type: 'delete', path: ['foo'], oldValue: 2,         newValue: undefined }
+      ],
+      [
+        { type: 'set',    path: ['bar'], oldValue: 3,         newValue: 4 }
+      ]
+    ])
+  })
+
+  test('Does not report a write that does not change the value', async () =>
+  {
+    const
+      batches = [],
+      view    = deepobserve({ foo: 1, bar: NaN }, (changes) => batches.push(changes))
+
+    view.foo = 1
+    view.bar = NaN
+    delete view.baz
+
+    await tick()
+
+    assert.deepStrictEqual(batches, [])
+  })
+
+  test('Reports an array mutated by a method as a single splice', async () =>
+  {
+    const
+      obj     = { list: [1, 2, 3] },
+      batches = [],
+      view    = deepobserve(obj, (changes) => batches.push(changes))
+
+    assert.strictEqual(view.list.push(4), 4)
+    view.list.splice(1, 1, 'a', 'b')
+    view.list.shift()
+    assert.strictEqual(view.list.reverse(), view.list, 'Should return the view')
+    view.list.sort()
+
+    await tick()
+
+    assert.deepStrictEqual(obj.list, [3, 4, 'a', 'b'])
+    assert.deepStrictEqual(batches,
+    [[
+      { type: 'splice', path: ['list'], index: 3, oldValue: [],                   newValue: [4] },
+      { type: 'splice', path: ['list'], index: 1, oldValue: [2],                  newValue: ['a', 'b'] },
+      { type: 'splice', path: ['list'], index: 0, oldValue: [1],                  newValue: [] },
+      { type: 'splice', path: ['list'], index: 0, oldValue: ['a', 'b', 3, 4],     newValue: [4, 3, 'b', 'a'] },
+      { type: 'splice', path: ['list'], index: 0, oldValue: [4, 3, 'b', 'a'],     newValue: [3, 4, 'a', 'b'] }
+    ]])
+  })
+
+  test('Reports a write to the length of an array as a splice', async () =>
+  {
+    const
+      obj     = { list: [1, 2, 3] },
+      batches = [],
+      view    = deepobserve(obj, (changes) => batches.push(changes))
+
+    view.list.length = 1
+    view.list.length = 1
+
+    await tick()
+
+    assert.deepStrictEqual(obj.list, [1])
+    assert.deepStrictEqual(batches, [[{ type: 'splice', path: ['list'], index: 1, oldValue: [2, 3], newValue: [] }]])
+  })
+
+  test('Reports an array index set through the view', async () =>
+  {
+    const
+      batches = [],
+      view    = deepobserve([[1, 2]], (changes) => batches.push(changes))
+
+    view[0][1] = 3
+
+    await tick()
+
+    assert.deepStrictEqual(batches, [[{ type: 'set', path: ['0', '1'], oldValue: 2, newValue: 3 }]])
+  })
+
+  test('Reports map mutations', async () =>
+  {
+    const
+      map     = new Map([['foo', { bar: 1 }]]),
+      batches = [],
+      view    = deepobserve({ map }, (changes) => batches.push(changes))
+
+    view.map.get('foo').bar = 2
+    assert.strictEqual(view.map.set('baz', 3), view.map, 'Should return the view')
+    view.map.set('baz', 3)
+    view.map.delete('foo')
+    view.map.delete('qux')
+
+    await tick()
+
+    assert.deepStrictEqual(batches,
+    [[
+      { type: 'set',    path: ['map', 'foo', 'bar'],  oldValue: 1,          newValue: 2 },
+      { type: 'set',    path: ['map', 'baz'],         oldValue: undefined,  newValue: 3 },
+      { type: 'delete', path: ['map', 'foo'],         oldValue: { bar: 2 }, newValue: undefined }
+    ]])
+
+    view.map.set('qux', 4)
+    view.map.clear()
+
+    await tick()
+
+    assert.strictEqual(map.size, 0)
+    assert.deepStrictEqual(batches[1],
+    [
+      { type: 'set',    path: ['map', 'qux'], oldValue: undefined,  newValue: 4 },
+      { type: 'delete', path: ['map', 'baz'], oldValue: 3,          newValue: undefined },
+      { type: 'delete', path: ['map', 'qux'], oldValue: 4,          newValue: undefined }
+    ])
+  })
+
+  test('Reports set mutations', async () =>
+  {
+    const
+      set     = new Set([1, { foo: 1 }]),
+      batches = [],
+      view    = deepobserve({ set }, (changes) => batches.push(changes))
+
+    view.set.add(2)
+    view.set.add(2)
+    view.set.delete(1)
+    view.set.delete(3)
+
+    for(const member of view.set)
+    {
+      if(typeof member === 'object')
+      {
+        member.foo = 2
+      }
+    }
+
+    await tick()
+
+    assert.deepStrictEqual([...set], [{ foo: 2 }, 2])
+    assert.deepStrictEqual(batches,
+    [[
+      { type: 'add',    path: ['set'],            oldValue: undefined,  newValue: 2 },
+      { type: 'delete', path: ['set'],            oldValue: 1,          newValue: undefined },
+      { type: 'set',    path: ['set', 0, 'foo'],  oldValue: 1,          newValue: 2 }
+    ]])
+
+    view.set.clear()
+
+    await tick()
+
+    assert.strictEqual(set.size, 0)
+    assert.deepStrictEqual(batches[1],
+    [
+      { type: 'delete', path: ['set'], oldValue: { foo: 2 }, newValue: undefined },
+      { type: 'delete', path: ['set'], oldValue: 2,          newValue: undefined }
+    ])
+  })
+
+  test('Writes the original value of a view', async () =>
+  {
+    const
+      obj     = { foo: { bar: 1 }, list: [] },
+      batches = [],
+      view    = deepobserve(obj, (changes) => batches.push(changes))
+
+    view.baz = view.foo
+    view.list.push(view.foo)
+
+    assert.strictEqual(obj.baz, obj.foo)
+    assert.strictEqual(obj.list[0], obj.foo)
+    assert.strictEqual(view.foo, view.foo, 'Should keep the identity of nested views')
+
+    await tick()
+
+    assert.strictEqual(batches[0][0].newValue, obj.foo)
+  })
+
+  test('Stops reporting when unobserved', async () =>
+  {
+    const
+      obj     = { foo: { bar: 1 } },
+      batches = [],
+      view    = deepobserve(obj, (changes) => batches.push(changes))
+
+    view.foo.bar = 2
+    unobserve(view.foo)
+    view.foo.bar = 3
+
+    await tick()
+
+    assert.strictEqual(obj.foo.bar, 3, 'Should still write to the original value')
+    assert.deepStrictEqual(batches, [], 'Should discard the changes not yet reported')
+  })
+
+  test('Rethrows an error of the listener outside of the microtask', async (t) =>
+  {
+    const
+      rethrown  = [],
+      batches   = [],
+      microtask = () => new Promise((resolve) => queueMicrotask(resolve)),
+      view      = deepobserve({ foo: 1 }, (changes) =>
+      {
+        batches.push(changes)
+        throw new Error('foo')
+      })
+
+    t.mock.method(globalThis, 'setImmediate', (callback) => rethrown.push(callback))
+
+    view.foo = 2
+    await microtask()
+    view.foo = 3
+    await microtask()
+
+    assert.strictEqual(batches.length,  2, 'Should still report the following changes')
+    assert.strictEqual(rethrown.length, 2)
+    assert.throws(rethrown[0], { message: 'foo' })
+  })
+
+  test('Returns a non-container value as is', () =>
+  {
+    assert.strictEqual(deepobserve(1, () => {}), 1)
+    assert.strictEqual(deepobserve(null, () => {}), null)
+  })
+
+  test('Throws on an invalid listener, or an unobserved value', () =>
+  {
+    assert.throws(() => deepobserve({}),          { name: 'InvalidListenerError', code: 'E_DEEP_OBSERVE_INVALID_LISTENER' })
+    assert.throws(() => unobserve({}),            { name: 'NotObservedError',     code: 'E_DEEP_OBSERVE_NOT_OBSERVED' })
+    assert.throws(() => unobserve(null),          { name: 'NotObservedError',     code: 'E_DEEP_OBSERVE_NOT_OBSERVED' })
+  })
+})
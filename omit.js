@@ -0,0 +1,125 @@
+import match            from '@superhero/deep/match'
+import { matchPrefix }  from '@superhero/deep/match'
+
+/**
+ * Omits the values matched by any of the path patterns, and returns a new
+ * structure without the omitted values. The patterns are matched by the
+ * match function, where "*" matches any single key, and "**" matches any
+ * number of keys.
+ *
+ * @example omit({ db: { main: { host: 'foo', password: 'bar' } } },
+ * ['**.password']) results in { db: { main: { host: 'foo' } } }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Objects, arrays and maps are traversed, including non-enumerable and
+ * symbol keys. The prototypes and the property descriptors of the objects
+ * are preserved, same as the merge strategy. The elements following an
+ * omitted element of an array are shifted. Only the containers that can
+ * hold an omitted value are copied, the rest of the structure is shared with
+ * the value.
+ *
+ * @example omit({ list: [1, 2, 3] }, ['list.0']) results in { list: [2, 3] }.
+ */
+export default function omit(value, patterns)
+{
+  const state = { patterns: [patterns].flat(), seen: new WeakMap }
+
+  return state.patterns.some((pattern) => match([], pattern))
+    ? undefined
+    : omitValue(value, [], state)
+}
+
+function omitValue(value, path, state)
+{
+  if(false === state.patterns.some((pattern) => matchPrefix(path, pattern)))
+  {
+    return value
+  }
+
+  // a circular reference resolves to the output of the referenced value
+  if(state.seen.has(value))
+  {
+    return state.seen.get(value)
+  }
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : return omitArray(value, path, state)
+    case '[object Object]'  : return omitObject(value, path, state)
+    case '[object Map]'     : return omitMap(value, path, state)
+    default                 : return value
+  }
+}
+
+function isOmitted(path, state)
+{
+  return state.patterns.some((pattern) => match(path, pattern))
+}
+
+function omitArray(array, path, state)
+{
+  const output = []
+
+  state.seen.set(array, output)
+
+  for(let i = 0; i < array.length; i++)
+  {
+    if(false === isOmitted([...path, i], state))
+    {
+      output.push(omitValue(array[i], [...path, i], state))
+    }
+  }
+
+  state.seen.delete(array)
+
+  return output
+}
+
+function omitObject(obj, path, state)
+{
+  const output = Object.create(Object.getPrototypeOf(obj))
+
+  state.seen.set(obj, output)
+
+  for(const key of Reflect.ownKeys(obj))
+  {
+    if(isOmitted([...path, key], state))
+    {
+      continue
+    }
+
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+
+    // an accessor is only omitted as a whole
+    if('value' in descriptor)
+    {
+      descriptor.value = omitValue(descriptor.value, [...path, key], state)
+    }
+
+    Object.defineProperty(output, key, descriptor)
+  }
+
+  state.seen.delete(obj)
+
+  return output
+}
+
+function omitMap(map, path, state)
+{
+  const output = new Map
+
+  state.seen.set(map, output)
+
+  for(const [key, value] of map)
+  {
+    if(false === isOmitted([...path, key], state))
+    {
+      output.set(key, omitValue(value, [...path, key], state))
+    }
+  }
+
+  state.seen.delete(map)
+
+  return output
+}
@@ -0,0 +1,100 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepomit         from '@superhero/deep/omit'
+
+suite('@superhero/deep/omit', () =>
+{
+  test('Omits by exact paths', () =>
+  {
+    const
+      value     = { server: { host: 'localhost', port: 80 }, db: { host: 'db' } },
+      expected  = { server: { host: 'localhost' } }
+
+    const result = deepomit(value, ['server.port', 'db'])
+    assert.deepStrictEqual(result, expected, 'The matched paths should be omitted')
+    assert.deepStrictEqual(value.server, { host: 'localhost', port: 80 }, 'Should not mutate the value')
+  })
+
+  test('Omits by wildcard patterns', () =>
+  {
+    const
+      value     = { db: { main: { host: 'foo', password: 'bar' } }, api: { nested: { token: 'baz' } } },
+      expected  = { db: { main: { host: 'foo' } }, api: { nested: {} } }
+
+    assert.deepStrictEqual(deepomit(value, ['db.*.password', '**.token']), expected)
+  })
+
+  test('Omits a single pattern', () =>
+  {
+    assert.deepStrictEqual(deepomit({ foo: { bar: 1, baz: 2 } }, 'foo.bar'), { foo: { baz: 2 } })
+  })
+
+  test('Shares the values that can not hold an omitted value', () =>
+  {
+    const
+      value   = { foo: { bar: 1 }, baz: { qux: 2 } },
+      result  = deepomit(value, ['foo.bar'])
+
+    assert.notStrictEqual(result.foo, value.foo)
+    assert.strictEqual(result.baz,    value.baz)
+  })
+
+  test('Omits from arrays', () =>
+  {
+    const value = { list: [{ id: 1, secret: 'foo' }, { id: 2, secret: 'bar' }] }
+
+    assert.deepStrictEqual(deepomit(value, ['list.*.secret']),  { list: [{ id: 1 }, { id: 2 }] })
+    assert.deepStrictEqual(deepomit(value, ['list.0']),         { list: [{ id: 2, secret: 'bar' }] }, 'Following elements should be shifted')
+  })
+
+  test('Omits from maps', () =>
+  {
+    const
+      value     = { map: new Map([['foo', { bar: 1, baz: 2 }], ['qux', 3]]) },
+      expected  = { map: new Map([['foo', { baz: 2 }]]) }
+
+    assert.deepStrictEqual(deepomit(value, ['map.foo.bar', 'map.qux']), expected)
+  })
+
+  test('Omits symbol keys', () =>
+  {
+    const
+      sym   = Symbol('secret'),
+      value = { [sym]: 1, foo: 2 }
+
+    assert.deepStrictEqual(deepomit(value, [[sym]]), { foo: 2 })
+  })
+
+  test('Preserves descriptors and prototypes', () =>
+  {
+    class Config {}
+
+    const value = new Config
+
+    Object.defineProperty(value, 'hidden',   { value: { foo: 1, bar: 2 }, enumerable: false, writable: false, configurable: true })
+    Object.defineProperty(value, 'computed', { get: () => 1, enumerable: true, configurable: true })
+
+    const result = deepomit(value, ['hidden.foo'])
+
+    assert.ok(result instanceof Config, 'Should preserve the prototype')
+    assert.deepStrictEqual(result.hidden, { bar: 2 })
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result, 'hidden'),
+      { value: result.hidden, enumerable: false, writable: false, configurable: true })
+    assert.strictEqual(typeof Object.getOwnPropertyDescriptor(result, 'computed').get, 'function', 'Should preserve the accessor')
+  })
+
+  test('Returns undefined if the root is omitted', () =>
+  {
+    assert.strictEqual(deepomit({ foo: 1 }, ['**']), undefined)
+  })
+
+  test('Handles circular references', () =>
+  {
+    const value = { foo: 1, token: 2 }
+    value.self = value
+
+    const result = deepomit(value, ['**.token'])
+    assert.deepStrictEqual(Object.keys(result), ['foo', 'self'])
+    assert.strictEqual(result.self, result, 'The output should refer back to itself')
+  })
+})
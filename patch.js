@@ -0,0 +1,546 @@
+import deepclone from '@superhero/deep/clone'
+import deepequal from '@superhero/deep/equal'
+
+/**
+ * When patching with an array, the array is expected to be a list of
+ * RFC 6902 JSON Patch operations: "add", "remove", "replace", "move", "copy"
+ * and "test", where each path is a RFC 6901 JSON Pointer.
+ *
+ * @example patching { foo: 1 } with [{ op: 'add', path: '/bar', value: 2 }]
+ * results in { foo: 1, bar: 2 }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * When patching with anything else, the patch is expected to be a RFC 7396
+ * JSON Merge Patch document, where a null value removes the key.
+ *
+ * @example patching { foo: 1, bar: 2 } with { foo: null, baz: 3 } results
+ * in { bar: 2, baz: 3 }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * By default, the target is not mutated, a new structure is returned, same
+ * as the merge strategy. With the "mutate" option, the target is patched in
+ * place, same as the assign strategy. In both modes, the patch is atomic;
+ * if any operation fails, all previously applied operations are rolled back
+ * before the error is thrown.
+ *
+ * @example patch(target, operations, { mutate: true })
+ */
+export default function patch(target, document, options = {})
+{
+  options.mutate = options.mutate ?? false
+
+  const
+    journal = [],
+    input   = options.mutate
+            ? target
+            : deepclone(target, { preservesImutable: true })
+
+  try
+  {
+    return Array.isArray(document)
+      ? applyOperations(input, document, journal)
+      : applyMergePatch(input, document, journal)
+  }
+  catch(error)
+  {
+    rollback(journal)
+    throw error
+  }
+}
+
+function applyOperations(root, operations, journal)
+{
+  for(const operation of operations)
+  {
+    if(typeof operation !== 'object' || operation === null)
+    {
+      throw new InvalidOperationError('Operation must be an object')
+    }
+
+    const tokens = parse(operation.path)
+
+    switch(operation.op)
+    {
+      case 'add':
+      {
+        assertHasValue(operation)
+        root = add(root, tokens, deepclone(operation.value), journal)
+        break
+      }
+      case 'remove':
+      {
+        remove(root, tokens, journal)
+        break
+      }
+      case 'replace':
+      {
+        assertHasValue(operation)
+        root = replace(root, tokens, deepclone(operation.value), journal)
+        break
+      }
+      case 'move':
+      {
+        const from = parse(operation.from)
+
+        if(from.length < tokens.length
+        && from.every((token, i) => token === tokens[i]))
+        {
+          throw new InvalidOperationError(`Can not move "${operation.from}" into itself "${operation.path}"`)
+        }
+
+        const value = remove(root, from, journal)
+        root = add(root, tokens, value, journal)
+        break
+      }
+      case 'copy':
+      {
+        const value = resolve(root, parse(operation.from))
+        root = add(root, tokens, deepclone(value), journal)
+        break
+      }
+      case 'test':
+      {
+        assertHasValue(operation)
+
+        if(false === deepequal(resolve(root, tokens), operation.value))
+        {
+          throw new TestFailedError(`Test failed for "${operation.path}"`)
+        }
+
+        break
+      }
+      default:
+      {
+        throw new InvalidOperationError(`Unknown operation "${operation.op}"`)
+      }
+    }
+  }
+
+  return root
+}
+
+function applyMergePatch(target, document, journal)
+{
+  if('[object Object]' !== Object.prototype.toString.call(document))
+  {
+    return deepclone(document)
+  }
+
+  if('[object Object]' !== Object.prototype.toString.call(target))
+  {
+    target = {}
+  }
+
+  for(const key of Object.keys(document))
+  {
+    const value = document[key]
+
+    if(null === value)
+    {
+      if(Object.prototype.hasOwnProperty.call(target, key))
+      {
+        eraseProperty(target, key, journal)
+      }
+    }
+    else
+    {
+      const
+        current = Object.prototype.hasOwnProperty.call(target, key)
+                ? target[key]
+                : undefined,
+        patched = applyMergePatch(current, value, journal)
+
+      if(false === Object.is(current, patched))
+      {
+        writeProperty(target, key, patched, journal)
+      }
+    }
+  }
+
+  return target
+}
+
+function add(root, tokens, value, journal)
+{
+  if(0 === tokens.length)
+  {
+    return value
+  }
+
+  const
+    container = resolve(root, tokens.slice(0, -1)),
+    token     = tokens[tokens.length - 1]
+
+  switch(Object.prototype.toString.call(container))
+  {
+    case '[object Array]':
+    {
+      const index = '-' === token ? container.length : parseIndex(container, token, tokens, true)
+
+      container.splice(index, 0, value)
+      journal.push(() => container.splice(index, 1))
+      break
+    }
+    case '[object Set]':
+    {
+      // a set has no position, the member is always appended
+      if(false === container.has(value))
+      {
+        container.add(value)
+        journal.push(() => container.delete(value))
+      }
+      break
+    }
+    case '[object Map]':
+    {
+      writeEntry(container, findKey(container, token) ?? token, value, journal)
+      break
+    }
+    default:
+    {
+      assertIsObject(container, tokens)
+      writeProperty(container, token, value, journal)
+      break
+    }
+  }
+
+  return root
+}
+
+function remove(root, tokens, journal)
+{
+  if(0 === tokens.length)
+  {
+    throw new InvalidOperationError('Can not remove the root')
+  }
+
+  const
+    container = resolve(root, tokens.slice(0, -1)),
+    token     = tokens[tokens.length - 1]
+
+  switch(Object.prototype.toString.call(container))
+  {
+    case '[object Array]':
+    {
+      const
+        index   = parseIndex(container, token, tokens),
+        [value] = container.splice(index, 1)
+
+      journal.push(() => container.splice(index, 0, value))
+      return value
+    }
+    case '[object Set]':
+    {
+      const value = [...container][parseIndex(container, token, tokens)]
+
+      container.delete(value)
+      journal.push(() => container.add(value))
+      return value
+    }
+    case '[object Map]':
+    {
+      const key = findKey(container, token)
+
+      if(undefined === key)
+      {
+        throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+      }
+
+      const value = container.get(key)
+
+      container.delete(key)
+      journal.push(() => container.set(key, value))
+      return value
+    }
+    default:
+    {
+      assertIsObject(container, tokens)
+
+      if(false === Object.prototype.hasOwnProperty.call(container, token))
+      {
+        throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+      }
+
+      const value = container[token]
+
+      eraseProperty(container, token, journal)
+      return value
+    }
+  }
+}
+
+function replace(root, tokens, value, journal)
+{
+  if(0 === tokens.length)
+  {
+    return value
+  }
+
+  const
+    container = resolve(root, tokens.slice(0, -1)),
+    token     = tokens[tokens.length - 1]
+
+  switch(Object.prototype.toString.call(container))
+  {
+    case '[object Array]':
+    {
+      const
+        index     = parseIndex(container, token, tokens),
+        previous  = container[index]
+
+      container[index] = value
+      journal.push(() => container[index] = previous)
+      break
+    }
+    case '[object Set]':
+    {
+      remove(root, tokens, journal)
+      add(root, tokens, value, journal)
+      break
+    }
+    case '[object Map]':
+    {
+      const key = findKey(container, token)
+
+      if(undefined === key)
+      {
+        throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+      }
+
+      writeEntry(container, key, value, journal)
+      break
+    }
+    default:
+    {
+      assertIsObject(container, tokens)
+
+      if(false === Object.prototype.hasOwnProperty.call(container, token))
+      {
+        throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+      }
+
+      writeProperty(container, token, value, journal)
+      break
+    }
+  }
+
+  return root
+}
+
+function resolve(root, tokens)
+{
+  let value = root
+
+  for(let i = 0; i < tokens.length; i++)
+  {
+    const
+      token = tokens[i],
+      path  = tokens.slice(0, i + 1)
+
+    switch(Object.prototype.toString.call(value))
+    {
+      case '[object Array]':
+      {
+        value = value[parseIndex(value, token, path)]
+        break
+      }
+      case '[object Set]':
+      {
+        value = [...value][parseIndex(value, token, path)]
+        break
+      }
+      case '[object Map]':
+      {
+        const key = findKey(value, token)
+
+        if(undefined === key)
+        {
+          throw new PathNotFoundError(`Path not found "${format(path)}"`)
+        }
+
+        value = value.get(key)
+        break
+      }
+      default:
+      {
+        if(typeof value !== 'object'
+        || value === null
+        || false === Object.prototype.hasOwnProperty.call(value, token))
+        {
+          throw new PathNotFoundError(`Path not found "${format(path)}"`)
+        }
+
+        value = value[token]
+        break
+      }
+    }
+  }
+
+  return value
+}
+
+/**
+ * Writes a property, respecting the descriptor of an existing property.
+ * A configurable property is redefined with its flags kept, a writable
+ * property is written to, anything else can not be patched.
+ */
+function writeProperty(object, key, value, journal)
+{
+  const descriptor = Object.getOwnPropertyDescriptor(object, key)
+
+  if(undefined === descriptor)
+  {
+    if(false === Reflect.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true }))
+    {
+      throw new ImmutablePropertyError(`Can not define property "${key}" on a non-extensible object`)
+    }
+
+    journal.push(() => delete object[key])
+    return
+  }
+
+  if(false === ('value' in descriptor)
+  || false === (descriptor.configurable || descriptor.writable))
+  {
+    throw new ImmutablePropertyError(`Can not write to the immutable property "${key}"`)
+  }
+
+  Object.defineProperty(object, key, { ...descriptor, value })
+  journal.push(() => Object.defineProperty(object, key, descriptor))
+}
+
+function eraseProperty(object, key, journal)
+{
+  const descriptor = Object.getOwnPropertyDescriptor(object, key)
+
+  if(false === Reflect.deleteProperty(object, key))
+  {
+    throw new ImmutablePropertyError(`Can not remove the non-configurable property "${key}"`)
+  }
+
+  journal.push(() => Object.defineProperty(object, key, descriptor))
+}
+
+function writeEntry(map, key, value, journal)
+{
+  if(map.has(key))
+  {
+    const previous = map.get(key)
+    journal.push(() => map.set(key, previous))
+  }
+  else
+  {
+    journal.push(() => map.delete(key))
+  }
+
+  map.set(key, value)
+}
+
+function rollback(journal)
+{
+  while(journal.length)
+  {
+    journal.pop()()
+  }
+}
+
+/**
+ * Map keys are not necessarily strings, a reference token matches a key
+ * by its string representation.
+ */
+function findKey(map, token)
+{
+  if(map.has(token))
+  {
+    return token
+  }
+
+  for(const key of map.keys())
+  {
+    if(String(key) === token)
+    {
+      return key
+    }
+  }
+}
+
+/**
+ * An index must refer to an existing position, unless adding, where the
+ * index may also refer to the position right after the last element.
+ */
+function parseIndex(container, token, tokens, appendable = false)
+{
+  const size = container.length ?? container.size
+
+  if(false === /^(0|[1-9][0-9]*)$/.test(token)
+  || Number(token) > size
+  || Number(token) === size && false === appendable)
+  {
+    throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+  }
+
+  return Number(token)
+}
+
+/**
+ * Parses a JSON Pointer into reference tokens, RFC 6901 section 4.
+ */
+function parse(pointer)
+{
+  if(typeof pointer !== 'string'
+  || (pointer !== '' && pointer[0] !== '/'))
+  {
+    throw new InvalidOperationError(`Invalid JSON Pointer "${pointer}"`)
+  }
+
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map((token) => token.replaceAll('~1', '/').replaceAll('~0', '~'))
+}
+
+function format(tokens)
+{
+  return tokens.map((token) => '/' + token.replaceAll('~', '~0').replaceAll('/', '~1')).join('')
+}
+
+function assertHasValue(operation)
+{
+  if(false === ('value' in operation))
+  {
+    throw new InvalidOperationError(`The "${operation.op}" operation requires a value`)
+  }
+}
+
+function assertIsObject(value, tokens)
+{
+  if(typeof value !== 'object' || value === null)
+  {
+    throw new PathNotFoundError(`Path not found "${format(tokens)}"`)
+  }
+}
+
+class InvalidOperationError extends TypeError
+{
+  name = 'InvalidOperationError'
+  code = 'E_DEEP_PATCH_INVALID_OPERATION'
+}
+
+class PathNotFoundError extends ReferenceError
+{
+  name = 'PathNotFoundError'
+  code = 'E_DEEP_PATCH_PATH_NOT_FOUND'
+}
+
+class TestFailedError extends Error
+{
+  name = 'TestFailedError'
+  code = 'E_DEEP_PATCH_TEST_FAILED'
+}
+
+class ImmutablePropertyError extends TypeError
+{
+  name = 'ImmutablePropertyError'
+  code = 'E_DEEP_PATCH_IMMUTABLE_PROPERTY'
+}
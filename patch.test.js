@@ -0,0 +1,223 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepdiff         from '@superhero/deep/diff'
+import deeppatch        from '@superhero/deep/patch'
+
+suite('@superhero/deep/patch', () =>
+{
+  suite('JSON Patch', () =>
+  {
+    test('Adds, removes and replaces values', () =>
+    {
+      const
+        target    = { foo: 1, bar: 2, baz: [1, 3] },
+        expected  = { foo: 3, baz: [1, 2, 3, 4], qux: { quux: true } }
+
+      const result = deeppatch(target,
+      [
+        { op: 'remove',   path: '/bar' },
+        { op: 'replace',  path: '/foo',   value: 3 },
+        { op: 'add',      path: '/baz/1', value: 2 },
+        { op: 'add',      path: '/baz/-', value: 4 },
+        { op: 'add',      path: '/qux',   value: { quux: true } }
+      ])
+
+      assert.deepStrictEqual(result, expected)
+    })
+
+    test('Moves and copies values', () =>
+    {
+      const
+        target    = { foo: { bar: 1 }, baz: [] },
+        expected  = { baz: [{ bar: 1 }], qux: { bar: 1 } }
+
+      const result = deeppatch(target,
+      [
+        { op: 'move', from: '/foo',   path: '/qux' },
+        { op: 'copy', from: '/qux',   path: '/baz/0' }
+      ])
+
+      assert.deepStrictEqual(result, expected)
+      assert.notStrictEqual(result.baz[0], result.qux, 'Copied value should not share reference')
+    })
+
+    test('Tests values', () =>
+    {
+      const target = { foo: { bar: [1, 2] } }
+
+      assert.deepStrictEqual(deeppatch(target, [{ op: 'test', path: '/foo', value: { bar: [1, 2] } }]), target)
+
+      assert.throws(() => deeppatch(target, [{ op: 'test', path: '/foo/bar/0', value: 2 }]),
+      {
+        name: 'TestFailedError',
+        code: 'E_DEEP_PATCH_TEST_FAILED'
+      })
+    })
+
+    test('Replaces the root', () =>
+    {
+      assert.deepStrictEqual(deeppatch({ foo: 1 }, [{ op: 'replace', path: '', value: [1] }]), [1])
+    })
+
+    test('Decodes JSON Pointer reference tokens', () =>
+    {
+      const result = deeppatch({ 'foo/bar': 1 }, [{ op: 'move', from: '/foo~1bar', path: '/baz~0qux' }])
+      assert.deepStrictEqual(result, { 'baz~qux': 1 })
+    })
+
+    test('Patches maps and sets', () =>
+    {
+      const
+        target = { map: new Map([['foo', 1], [2, 'bar']]), set: new Set(['a', 'b']) },
+        result = deeppatch(target,
+        [
+          { op: 'replace',  path: '/map/2',   value: 'baz' },
+          { op: 'remove',   path: '/map/foo' },
+          { op: 'remove',   path: '/set/0' },
+          { op: 'add',      path: '/set/-',   value: 'c' }
+        ])
+
+      assert.deepStrictEqual(result, { map: new Map([[2, 'baz']]), set: new Set(['b', 'c']) })
+    })
+
+    test('Applies the operations produced by diff', () =>
+    {
+      const
+        a = { foo: { bar: [1, 2, 3] }, map: new Map([['x', 1]]), set: new Set([1, 2]), 'a/b': 1 },
+        b = { foo: { bar: [1, 4] }, map: new Map([['y', 2]]), set: new Set([2, 3]), 'a~b': 2 }
+
+      assert.deepStrictEqual(deeppatch(a, deepdiff(a, b)), b)
+    })
+
+    test('Applies the operations produced by diff to maps', () =>
+    {
+      const
+        a = { map: new Map([['1', 'a'], ['2', { foo: 'b' }], ['a/b', 1]]) },
+        b = { map: new Map([['2', { foo: 'c' }], ['3', 'd'], ['a~b', 2]]) }
+
+      assert.deepStrictEqual(deeppatch(a, deepdiff(a, b)), b)
+      assert.deepStrictEqual(deeppatch(b, deepdiff(b, a)), a)
+
+      const
+        c = { map: new Map([[1, 'a'], [2, { foo: 'b' }]]) },
+        d = { map: new Map([[2, { foo: 'c' }]]) }
+
+      assert.deepStrictEqual(deeppatch(c, deepdiff(c, d)), d, 'Should find the existing keys that are not strings')
+    })
+
+    test('Does not mutate the target by default', () =>
+    {
+      const
+        target = { foo: { bar: 1 } },
+        result = deeppatch(target, [{ op: 'replace', path: '/foo/bar', value: 2 }])
+
+      assert.deepStrictEqual(target, { foo: { bar: 1 } }, 'Target should not be mutated')
+      assert.deepStrictEqual(result, { foo: { bar: 2 } })
+    })
+
+    test('Mutates the target with the mutate option', () =>
+    {
+      const
+        target = { foo: { bar: 1 } },
+        result = deeppatch(target, [{ op: 'replace', path: '/foo/bar', value: 2 }], { mutate: true })
+
+      assert.strictEqual(result, target, 'Should return the target')
+      assert.deepStrictEqual(target, { foo: { bar: 2 } })
+    })
+
+    test('Rolls back all operations when an operation fails', () =>
+    {
+      const
+        nested = [1, 2],
+        target = { foo: 1, bar: nested, baz: new Map([['qux', 1]]) }
+
+      assert.throws(() => deeppatch(target,
+      [
+        { op: 'replace',  path: '/foo',     value: 2 },
+        { op: 'remove',   path: '/bar/0' },
+        { op: 'add',      path: '/qux',     value: 3 },
+        { op: 'add',      path: '/baz/qux', value: 2 },
+        { op: 'remove',   path: '/missing' }
+      ], { mutate: true }),
+      {
+        name: 'PathNotFoundError',
+        code: 'E_DEEP_PATCH_PATH_NOT_FOUND'
+      })
+
+      assert.deepStrictEqual(target, { foo: 1, bar: [1, 2], baz: new Map([['qux', 1]]) }, 'Target should be rolled back')
+      assert.strictEqual(target.bar, nested, 'Nested references should be kept')
+    })
+
+    test('Throws on invalid operations', () =>
+    {
+      const target = { foo: { bar: 1 } }
+
+      assert.throws(() => deeppatch(target, [{ op: 'unknown', path: '/foo' }]),       { code: 'E_DEEP_PATCH_INVALID_OPERATION' })
+      assert.throws(() => deeppatch(target, [{ op: 'add', path: 'foo', value: 1 }]),  { code: 'E_DEEP_PATCH_INVALID_OPERATION' })
+      assert.throws(() => deeppatch(target, [{ op: 'add', path: '/foo' }]),           { code: 'E_DEEP_PATCH_INVALID_OPERATION' })
+      assert.throws(() => deeppatch(target, [{ op: 'move', from: '/foo', path: '/foo/bar' }]),
+                                                                                      { code: 'E_DEEP_PATCH_INVALID_OPERATION' })
+      assert.throws(() => deeppatch([1], [{ op: 'add', path: '/2', value: 1 }]),      { code: 'E_DEEP_PATCH_PATH_NOT_FOUND' })
+    })
+
+    test('Respects immutable properties', () =>
+    {
+      const target = {}
+
+      Object.defineProperty(target, 'foo', { value: 1, enumerable: true, writable: false, configurable: false })
+
+      assert.throws(() => deeppatch(target, [{ op: 'replace', path: '/foo', value: 2 }], { mutate: true }),
+      {
+        name: 'ImmutablePropertyError',
+        code: 'E_DEEP_PATCH_IMMUTABLE_PROPERTY'
+      })
+    })
+  })
+
+  suite('JSON Merge Patch', () =>
+  {
+    test('Merges and removes keys', () =>
+    {
+      const
+        target    = { foo: 1, bar: { baz: 2, qux: 3 } },
+        document  = { foo: null, bar: { qux: null, quux: 4 }, corge: [1] },
+        expected  = { bar: { baz: 2, quux: 4 }, corge: [1] }
+
+      assert.deepStrictEqual(deeppatch(target, document), expected)
+      assert.deepStrictEqual(target, { foo: 1, bar: { baz: 2, qux: 3 } }, 'Target should not be mutated')
+    })
+
+    test('Replaces values that are not objects', () =>
+    {
+      assert.deepStrictEqual(deeppatch({ foo: [1, 2] }, { foo: [3] }), { foo: [3] })
+      assert.deepStrictEqual(deeppatch({ foo: 'bar' }, { foo: { baz: 1 } }), { foo: { baz: 1 } })
+      assert.deepStrictEqual(deeppatch({ foo: 'bar' }, 'baz'), 'baz')
+    })
+
+    test('Mutates the target with the mutate option', () =>
+    {
+      const
+        target = { foo: { bar: 1 } },
+        nested = target.foo,
+        result = deeppatch(target, { foo: { bar: null, baz: 2 } }, { mutate: true })
+
+      assert.strictEqual(result,      target, 'Should return the target')
+      assert.strictEqual(result.foo,  nested, 'Should keep nested references')
+      assert.deepStrictEqual(target,  { foo: { baz: 2 } })
+    })
+
+    test('Rolls back when the patch fails', () =>
+    {
+      const target = { foo: 1, bar: {} }
+
+      Object.preventExtensions(target.bar)
+
+      assert.throws(() => deeppatch(target, { foo: 2, bar: { baz: 3 } }, { mutate: true }),
+      {
+        code: 'E_DEEP_PATCH_IMMUTABLE_PROPERTY'
+      })
+
+      assert.deepStrictEqual(target, { foo: 1, bar: {} }, 'Target should be rolled back')
+    })
+  })
+})
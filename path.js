@@ -0,0 +1,392 @@
+/**
+ * Reads, writes, checks and removes values in a deep structure by a path.
+ * Only own keys are traversed, inherited keys are never read nor written.
+ *
+ * A path is either a string in dot notation, an array of segments, or a
+ * RFC 6901 JSON Pointer, which is a string starting with a slash. Objects,
+ * arrays and maps are traversed, where a map is traversed by the key, or
+ * the key with the same string representation as the segment.
+ *
+ * @example get({ foo: [{ bar: 1 }] }, 'foo.0.bar') results in 1, same as
+ * get({ foo: [{ bar: 1 }] }, ['foo', 0, 'bar']) and
+ * get({ foo: [{ bar: 1 }] }, '/foo/0/bar').
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * By default, the set and remove functions mutate the target. With the
+ * "immutable" option, the target is not mutated, instead a new structure is
+ * returned, where only the containers along the path are copied, and the
+ * rest of the structure is shared with the target.
+ *
+ * @example set(target, 'foo.bar', 1, { immutable: true })
+ */
+export default { get, set, has, remove }
+
+/**
+ * Returns the value at the path, or the fallback if the path does not exist.
+ *
+ * @example get({ foo: { bar: 1 } }, 'foo.baz', 2) results in 2
+ */
+export function get(target, path, fallback)
+{
+  let value = target
+
+  for(const segment of parse(path))
+  {
+    if(false === hasKey(value, segment))
+    {
+      return fallback
+    }
+
+    value = read(value, segment)
+  }
+
+  return value
+}
+
+/**
+ * Returns true if the path exists.
+ *
+ * @example has({ foo: { bar: undefined } }, 'foo.bar') results in true
+ */
+export function has(target, path)
+{
+  let value = target
+
+  for(const segment of parse(path))
+  {
+    if(false === hasKey(value, segment))
+    {
+      return false
+    }
+
+    value = read(value, segment)
+  }
+
+  return true
+}
+
+/**
+ * Writes the value at the path, and returns the target. Missing containers
+ * along the path are created, as an array if the following segment is an
+ * index, or "-", else as an object. The segment "-" appends to an array.
+ *
+ * Property descriptors are respected the same way as by the assign function;
+ * a configurable or writable property keeps its descriptor, while a property
+ * that is neither writable nor configurable, an accessor without a setter,
+ * or a new key on a non-extensible object, is left as is.
+ *
+ * @example set({}, 'foo.0.bar', 1) results in { foo: [{ bar: 1 }] }
+ */
+export function set(target, path, value, options = {})
+{
+  options.immutable = options.immutable ?? false
+
+  const segments = parse(path)
+
+  return 0 === segments.length
+    ? value
+    : setIn(target, segments, value, options)
+}
+
+/**
+ * Removes the value at the path, and returns the target. An element removed
+ * from an array shifts the following elements, and a non-configurable
+ * property is left as is.
+ *
+ * @example remove({ foo: [1, 2, 3] }, 'foo.0') results in { foo: [2, 3] }
+ */
+export function remove(target, path, options = {})
+{
+  options.immutable = options.immutable ?? false
+
+  const segments = parse(path)
+
+  return 0 === segments.length
+    ? undefined
+    : removeIn(target, segments, options)
+}
+
+function setIn(container, segments, value, options)
+{
+  const
+    [ segment, ...rest ] = segments,
+    key = keyOf(container, segment)
+
+  let next = value
+
+  if(rest.length)
+  {
+    const child = hasKey(container, key)
+                ? read(container, key)
+                : undefined
+
+    next = setIn(isContainer(child) ? child : create(rest[0]), rest, value, options)
+  }
+
+  const output = options.immutable ? copy(container) : container
+  write(output, key, next)
+  return output
+}
+
+function removeIn(container, segments, options)
+{
+  const
+    [ segment, ...rest ] = segments,
+    key = keyOf(container, segment)
+
+  if(false === hasKey(container, key))
+  {
+    return container
+  }
+
+  if(rest.length)
+  {
+    const
+      child = read(container, key),
+      next  = removeIn(child, rest, options)
+
+    if(next === child)
+    {
+      return container
+    }
+
+    const output = copy(container)
+    write(output, key, next)
+    return output
+  }
+
+  const output = options.immutable ? copy(container) : container
+  erase(output, key)
+  return output
+}
+
+function parse(path)
+{
+  if(Array.isArray(path))
+  {
+    return path
+  }
+
+  if(typeof path === 'number')
+  {
+    return [path]
+  }
+
+  if(typeof path !== 'string')
+  {
+    throw new InvalidPathError(`Invalid path "${String(path)}", expected a string or an array of segments`)
+  }
+
+  if('/' === path[0])
+  {
+    return path.slice(1).split('/').map((token) => token.replaceAll('~1', '/').replaceAll('~0', '~'))
+  }
+
+  return '' === path
+    ? []
+    : path.split('.')
+}
+
+function isContainer(value)
+{
+  return typeof value === 'object'
+      && value !== null
+}
+
+function create(segment)
+{
+  return '-' === segment || isIndex(segment)
+    ? []
+    : {}
+}
+
+function isIndex(segment)
+{
+  return Number.isInteger(segment) && segment >= 0
+      || (typeof segment === 'string' && /^(0|[1-9]\d*)$/.test(segment))
+}
+
+/**
+ * A map key is resolved to the key with the same string representation as
+ * the segment, if the segment itself is not a key of the map. An array key
+ * is resolved to an index, where "-" is the index after the last element.
+ */
+function keyOf(container, segment)
+{
+  if(container instanceof Map)
+  {
+    if(container.has(segment))
+    {
+      return segment
+    }
+
+    for(const key of container.keys())
+    {
+      if(typeof key !== 'symbol'
+      && String(key) === String(segment))
+      {
+        return key
+      }
+    }
+
+    return segment
+  }
+
+  if(Array.isArray(container))
+  {
+    if('-' === segment)
+    {
+      return container.length
+    }
+
+    if(isIndex(segment))
+    {
+      return Number(segment)
+    }
+  }
+
+  return segment
+}
+
+function hasKey(container, segment)
+{
+  if(false === isContainer(container))
+  {
+    return false
+  }
+
+  const key = keyOf(container, segment)
+
+  return container instanceof Map
+    ? container.has(key)
+    : Object.hasOwn(container, key)
+}
+
+/**
+ * Only own properties are read, so that a key such as "__proto__", or an
+ * inherited key such as "constructor", does not resolve to the prototype.
+ */
+function read(container, segment)
+{
+  const key = keyOf(container, segment)
+
+  if(container instanceof Map)
+  {
+    return container.get(key)
+  }
+
+  return Object.hasOwn(container, key)
+    ? container[key]
+    : undefined
+}
+
+/**
+ * Copies the container without its values, which are shared with the
+ * container, keeping the prototype, the descriptors and the extensibility.
+ */
+function copy(container)
+{
+  let output
+
+  if(container instanceof Map)
+  {
+    output = new Map(container)
+    Object.setPrototypeOf(output, Object.getPrototypeOf(container))
+  }
+  else if(Array.isArray(container))
+  {
+    output = new Array(container.length)
+    Object.setPrototypeOf(output, Object.getPrototypeOf(container))
+    Object.defineProperties(output, Object.getOwnPropertyDescriptors(container))
+  }
+  else
+  {
+    output = Object.create(Object.getPrototypeOf(container), Object.getOwnPropertyDescriptors(container))
+  }
+
+  if(false === Object.isExtensible(container))
+  {
+    Object.preventExtensions(output)
+  }
+
+  return output
+}
+
+function write(container, key, value)
+{
+  if(container instanceof Map)
+  {
+    if(Object.isFrozen(container))
+    {
+      return
+    }
+
+    Map.prototype.set.call(container, key, value)
+    return
+  }
+
+  const descriptor = Object.getOwnPropertyDescriptor(container, key)
+
+  if(undefined === descriptor)
+  {
+    // a new key is defined as an own property, if the container is
+    // extensible, so that a key such as "__proto__" is not assigned
+    if(Object.isExtensible(container))
+    {
+      Object.defineProperty(container, key,
+      {
+        value,
+        enumerable    : true,
+        writable      : true,
+        configurable  : true
+      })
+    }
+    return
+  }
+
+  if(false === ('value' in descriptor))
+  {
+    // an accessor without a setter is left as is
+    Reflect.set(container, key, value)
+    return
+  }
+
+  if(descriptor.writable
+  || descriptor.configurable)
+  {
+    Object.defineProperty(container, key, { ...descriptor, value })
+  }
+}
+
+function erase(container, key)
+{
+  if(container instanceof Map)
+  {
+    if(false === Object.isFrozen(container))
+    {
+      Map.prototype.delete.call(container, key)
+    }
+    return
+  }
+
+  if(Array.isArray(container)
+  && typeof key === 'number')
+  {
+    if(Object.isSealed(container))
+    {
+      return
+    }
+
+    container.splice(key, 1)
+    return
+  }
+
+  Reflect.deleteProperty(container, key)
+}
+
+class InvalidPathError extends TypeError
+{
+  name = 'InvalidPathError'
+  code = 'E_DEEP_PATH_INVALID_PATH'
+}
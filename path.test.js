@@ -0,0 +1,222 @@
+import assert                       from 'assert'
+import { suite, test }              from 'node:test'
+import deeppath                     from '@superhero/deep/path'
+import { get, set, has, remove }    from '@superhero/deep/path'
+
+suite('@superhero/deep/path', () =>
+{
+  test('Exports the functions as members of the default import object', () =>
+  {
+    assert.strictEqual(deeppath.get,    get)
+    assert.strictEqual(deeppath.set,    set)
+    assert.strictEqual(deeppath.has,    has)
+    assert.strictEqual(deeppath.remove, remove)
+  })
+
+  suite('Get', () =>
+  {
+    test('Reads by dot notation, segments and JSON Pointer', () =>
+    {
+      const target = { foo: [{ bar: 1 }], 'a/b': { '~c': 2 }, 'd.e': 3 }
+
+      assert.strictEqual(get(target, 'foo.0.bar'),        1)
+      assert.strictEqual(get(target, ['foo', 0, 'bar']),  1)
+      assert.strictEqual(get(target, '/foo/0/bar'),       1)
+      assert.strictEqual(get(target, '/a~1b/~0c'),        2)
+      assert.strictEqual(get(target, ['d.e']),            3)
+      assert.strictEqual(get(target, ''),                 target)
+      assert.strictEqual(get(target, []),                 target)
+    })
+
+    test('Returns the fallback if the path does not exist', () =>
+    {
+      const target = { foo: { bar: undefined }, baz: 'qux' }
+
+      assert.strictEqual(get(target, 'foo.baz'),          undefined)
+      assert.strictEqual(get(target, 'foo.baz', 1),       1)
+      assert.strictEqual(get(target, 'foo.bar', 1),       undefined, 'An existing undefined value should not fall back')
+      assert.strictEqual(get(target, 'baz.length', 1),    1, 'Primitives should not be traversed')
+      assert.strictEqual(get(null, 'foo', 1),             1)
+    })
+
+    test('Traverses maps', () =>
+    {
+      const
+        key     = { id: 1 },
+        target  = { map: new Map([['foo', { bar: 1 }], [42, 'baz'], [key, 'qux']]) }
+
+      assert.strictEqual(get(target, 'map.foo.bar'),          1)
+      assert.strictEqual(get(target, 'map.42'),               'baz', 'Should resolve a key by its string representation')
+      assert.strictEqual(get(target, ['map', 42]),            'baz')
+      assert.strictEqual(get(target, ['map', key]),           'qux')
+    })
+  })
+
+  suite('Has', () =>
+  {
+    test('Checks if the path exists', () =>
+    {
+      const target = { foo: { bar: undefined }, list: [1], map: new Map([['baz', null]]) }
+
+      assert.strictEqual(has(target, 'foo.bar'),      true)
+      assert.strictEqual(has(target, 'foo.baz'),      false)
+      assert.strictEqual(has(target, 'list.0'),       true)
+      assert.strictEqual(has(target, 'list.1'),       false)
+      assert.strictEqual(has(target, '/map/baz'),     true)
+      assert.strictEqual(has(target, 'map.qux'),      false)
+      assert.strictEqual(has(target, 'foo.bar.baz'),  false)
+    })
+  })
+
+  suite('Set', () =>
+  {
+    test('Writes the value and returns the target', () =>
+    {
+      const target = { foo: { bar: 1 } }
+
+      assert.strictEqual(set(target, 'foo.bar', 2), target)
+      assert.strictEqual(set(target, '/foo/baz', 3), target)
+      assert.deepStrictEqual(target, { foo: { bar: 2, baz: 3 } })
+    })
+
+    test('Creates missing containers', () =>
+    {
+      const target = {}
+
+      set(target, 'foo.0.bar', 1)
+      set(target, 'baz.-', 2)
+      set(target, ['qux', 'quux'], 3)
+
+      assert.deepStrictEqual(target, { foo: [{ bar: 1 }], baz: [2], qux: { quux: 3 } })
+    })
+
+    test('Appends to arrays and writes to maps', () =>
+    {
+      const target = { list: [1], map: new Map([[42, 'foo']]) }
+
+      set(target, 'list.-',     2)
+      set(target, 'map.42',     'bar')
+      set(target, 'map.baz.qux', 3)
+
+      assert.deepStrictEqual(target.list, [1, 2])
+      assert.deepStrictEqual(target.map, new Map([[42, 'bar'], ['baz', { qux: 3 }]]))
+    })
+
+    test('Respects property descriptors', () =>
+    {
+      const target = {}
+
+      Object.defineProperty(target, 'locked',   { value: 1, writable: false, configurable: false, enumerable: true })
+      Object.defineProperty(target, 'hidden',   { value: 1, writable: true,  configurable: false, enumerable: false })
+      Object.defineProperty(target, 'computed', { get: () => 1, enumerable: true, configurable: true })
+
+      set(target, 'locked',   2)
+      set(target, 'hidden',   2)
+      set(target, 'computed', 2)
+
+      assert.strictEqual(target.locked,   1, 'A non-writable, non-configurable property should be left as is')
+      assert.strictEqual(target.hidden,   2)
+      assert.strictEqual(target.computed, 1, 'An accessor without a setter should be left as is')
+      assert.strictEqual(Object.getOwnPropertyDescriptor(target, 'hidden').enumerable, false, 'Should keep the descriptor')
+
+      const frozen = Object.freeze({ foo: 1 })
+
+      set(frozen, 'bar', 2)
+      assert.deepStrictEqual(frozen, { foo: 1 }, 'A non-extensible object should be left as is')
+    })
+
+    test('Replaces the root with an empty path', () =>
+    {
+      assert.strictEqual(set({ foo: 1 }, '', 'bar'), 'bar')
+    })
+
+    test('Writes immutably with structural sharing', () =>
+    {
+      const
+        target  = { foo: { bar: 1 }, baz: { qux: 2 }, list: [1, 2] },
+        output  = set(target, 'foo.bar', 3, { immutable: true }),
+        other   = set(target, 'list.-', 3, { immutable: true })
+
+      assert.deepStrictEqual(target, { foo: { bar: 1 }, baz: { qux: 2 }, list: [1, 2] }, 'Should not mutate the target')
+      assert.deepStrictEqual(output, { foo: { bar: 3 }, baz: { qux: 2 }, list: [1, 2] })
+      assert.notStrictEqual(output,       target)
+      assert.notStrictEqual(output.foo,   target.foo)
+      assert.strictEqual(output.baz,      target.baz,   'Should share the containers not on the path')
+      assert.strictEqual(output.list,     target.list,  'Should share the containers not on the path')
+      assert.deepStrictEqual(other.list,  [1, 2, 3])
+    })
+
+    test('Writes immutably to maps and keeps descriptors', () =>
+    {
+      const
+        target  = Object.defineProperty({ map: new Map([['foo', 1]]) }, 'hidden', { value: 1, enumerable: false }),
+        output  = set(target, 'map.bar', 2, { immutable: true })
+
+      assert.deepStrictEqual([...target.map], [['foo', 1]])
+      assert.deepStrictEqual([...output.map], [['foo', 1], ['bar', 2]])
+      assert.strictEqual(Object.getOwnPropertyDescriptor(output, 'hidden').enumerable, false)
+    })
+
+    test('Throws on an invalid path', () =>
+    {
+      assert.throws(() => set({}, null, 1), { name: 'InvalidPathError', code: 'E_DEEP_PATH_INVALID_PATH' })
+      assert.throws(() => get({}, {}),      { name: 'InvalidPathError', code: 'E_DEEP_PATH_INVALID_PATH' })
+    })
+
+    test('Does not pollute the prototype', () =>
+    {
+      const target = set({}, '__proto__.polluted', 'yes')
+
+      assert.strictEqual(Object.prototype.polluted, undefined, 'Should not write to the prototype')
+      assert.strictEqual(Object.getPrototypeOf(target), Object.prototype)
+      assert.ok(Object.hasOwn(target, '__proto__'), 'Should define "__proto__" as an own key')
+      assert.strictEqual(get(target, '__proto__.polluted'), 'yes')
+
+      set({}, 'constructor.prototype.polluted', 'yes')
+      assert.strictEqual(Object.prototype.polluted, undefined, 'Should not write to the prototype')
+    })
+
+    test('Does not read inherited keys', () =>
+    {
+      assert.strictEqual(has({}, 'toString'),         false)
+      assert.strictEqual(get({}, 'constructor'),      undefined)
+      assert.strictEqual(get({}, '__proto__', 'foo'), 'foo')
+      assert.strictEqual(remove({}, 'toString.name').toString, Object.prototype.toString)
+    })
+  })
+
+  suite('Remove', () =>
+  {
+    test('Removes the value and returns the target', () =>
+    {
+      const target = { foo: { bar: 1, baz: 2 }, list: [1, 2, 3], map: new Map([['qux', 1]]) }
+
+      assert.strictEqual(remove(target, 'foo.bar'), target)
+      remove(target, '/list/0')
+      remove(target, 'map.qux')
+      remove(target, 'missing.path')
+
+      assert.deepStrictEqual(target, { foo: { baz: 2 }, list: [2, 3], map: new Map })
+    })
+
+    test('Leaves a non-configurable property as is', () =>
+    {
+      const target = Object.defineProperty({}, 'foo', { value: 1, configurable: false, enumerable: true })
+
+      remove(target, 'foo')
+      assert.strictEqual(target.foo, 1)
+    })
+
+    test('Removes immutably with structural sharing', () =>
+    {
+      const
+        target  = { foo: { bar: 1, baz: 2 }, qux: { quux: 3 } },
+        output  = remove(target, 'foo.bar', { immutable: true })
+
+      assert.deepStrictEqual(target, { foo: { bar: 1, baz: 2 }, qux: { quux: 3 } }, 'Should not mutate the target')
+      assert.deepStrictEqual(output, { foo: { baz: 2 }, qux: { quux: 3 } })
+      assert.strictEqual(output.qux, target.qux, 'Should share the containers not on the path')
+      assert.strictEqual(remove(target, 'foo.missing', { immutable: true }), target, 'Should return the target if nothing is removed')
+    })
+  })
+})
@@ -0,0 +1,150 @@
+import match            from '@superhero/deep/match'
+import { matchPrefix }  from '@superhero/deep/match'
+
+/**
+ * Returned when nothing is picked, since undefined is a value that can be
+ * picked.
+ */
+const none = Symbol('none')
+
+/**
+ * Picks the values matched by any of the path patterns, and returns a new
+ * structure with only the picked values, and the containers along the paths
+ * to them. The patterns are matched by the match function, where "*"
+ * matches any single key, and "**" matches any number of keys.
+ *
+ * @example pick({ db: { main: { host: 'foo', password: 'bar' } } },
+ * ['db.*.host']) results in { db: { main: { host: 'foo' } } }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Objects, arrays and maps are traversed, including non-enumerable and
+ * symbol keys. The prototypes and the property descriptors of the objects
+ * are preserved, same as the merge strategy. Picked elements of an array
+ * keep their order, but not their index. The picked values are not cloned.
+ *
+ * @example pick({ list: [{ id: 1, name: 'foo' }] }, ['list.*.id']) results
+ * in { list: [{ id: 1 }] }.
+ */
+export default function pick(value, patterns)
+{
+  const
+    state   = { patterns: [patterns].flat(), seen: new WeakMap },
+    output  = pickValue(value, [], state)
+
+  return none === output
+    ? undefined
+    : output
+}
+
+function pickValue(value, path, state)
+{
+  if(state.patterns.some((pattern) => match(path, pattern)))
+  {
+    return value
+  }
+
+  if(false === state.patterns.some((pattern) => matchPrefix(path, pattern)))
+  {
+    return none
+  }
+
+  // a circular reference resolves to the output of the referenced value
+  if(state.seen.has(value))
+  {
+    return state.seen.get(value)
+  }
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : return pickArray(value, path, state)
+    case '[object Object]'  : return pickObject(value, path, state)
+    case '[object Map]'     : return pickMap(value, path, state)
+    default                 : return none
+  }
+}
+
+function pickArray(array, path, state)
+{
+  const output = []
+
+  state.seen.set(array, output)
+
+  for(let i = 0; i < array.length; i++)
+  {
+    const picked = pickValue(array[i], [...path, i], state)
+
+    if(none !== picked)
+    {
+      output.push(picked)
+    }
+  }
+
+  state.seen.delete(array)
+
+  return output.length
+    ? output
+    : none
+}
+
+function pickObject(obj, path, state)
+{
+  const output = Object.create(Object.getPrototypeOf(obj))
+
+  state.seen.set(obj, output)
+
+  let picked = false
+
+  for(const key of Reflect.ownKeys(obj))
+  {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+
+    // an accessor is only picked as a whole
+    if(false === ('value' in descriptor))
+    {
+      if(state.patterns.some((pattern) => match([...path, key], pattern)))
+      {
+        Object.defineProperty(output, key, descriptor)
+        picked = true
+      }
+      continue
+    }
+
+    const value = pickValue(descriptor.value, [...path, key], state)
+
+    if(none !== value)
+    {
+      Object.defineProperty(output, key, { ...descriptor, value })
+      picked = true
+    }
+  }
+
+  state.seen.delete(obj)
+
+  return picked
+    ? output
+    : none
+}
+
+function pickMap(map, path, state)
+{
+  const output = new Map
+
+  state.seen.set(map, output)
+
+  for(const [key, value] of map)
+  {
+    const picked = pickValue(value, [...path, key], state)
+
+    if(none !== picked)
+    {
+      output.set(key, picked)
+    }
+  }
+
+  state.seen.delete(map)
+
+  return output.size
+    ? output
+    : none
+}
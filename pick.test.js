@@ -0,0 +1,98 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deeppick         from '@superhero/deep/pick'
+
+suite('@superhero/deep/pick', () =>
+{
+  test('Picks by exact paths', () =>
+  {
+    const
+      value     = { server: { host: 'localhost', port: 80 }, db: { host: 'db' } },
+      expected  = { server: { port: 80 }, db: { host: 'db' } }
+
+    const result = deeppick(value, ['server.port', 'db'])
+    assert.deepStrictEqual(result, expected, 'Only the matched paths should be picked')
+    assert.strictEqual(result.db, value.db, 'A picked value should not be cloned')
+  })
+
+  test('Picks by wildcard patterns', () =>
+  {
+    const
+      value     = { db: { main: { host: 'foo', password: 'bar' }, replica: { host: 'baz', password: 'qux' } }, api: { token: 'quux' } },
+      expected  = { db: { main: { password: 'bar' }, replica: { password: 'qux' } }, api: { token: 'quux' } }
+
+    assert.deepStrictEqual(deeppick(value, ['db.*.password', '**.token']), expected)
+  })
+
+  test('Picks a single pattern', () =>
+  {
+    assert.deepStrictEqual(deeppick({ foo: { bar: 1, baz: 2 } }, 'foo.bar'), { foo: { bar: 1 } })
+  })
+
+  test('Picks from arrays', () =>
+  {
+    const
+      value     = { list: [{ id: 1, name: 'foo' }, { id: 2, name: 'bar' }, 'baz'] },
+      expected  = { list: [{ id: 1 }, { id: 2 }] }
+
+    assert.deepStrictEqual(deeppick(value, ['list.*.id']),  expected)
+    assert.deepStrictEqual(deeppick(value, ['list.1']),     { list: [{ id: 2, name: 'bar' }] }, 'Picked elements should keep their order, not their index')
+  })
+
+  test('Picks from maps', () =>
+  {
+    const
+      value     = { map: new Map([['foo', { bar: 1, baz: 2 }], ['qux', 3]]) },
+      expected  = { map: new Map([['foo', { bar: 1 }]]) }
+
+    assert.deepStrictEqual(deeppick(value, ['map.foo.bar']), expected)
+  })
+
+  test('Picks symbol keys', () =>
+  {
+    const
+      sym   = Symbol('secret'),
+      value = { [sym]: { foo: 1 }, bar: 2 }
+
+    assert.deepStrictEqual(deeppick(value, [[sym]]),       { [sym]: { foo: 1 } })
+    assert.deepStrictEqual(deeppick(value, [['*', 'foo']]), { [sym]: { foo: 1 } })
+  })
+
+  test('Preserves descriptors and prototypes', () =>
+  {
+    class Config {}
+
+    const value = new Config
+
+    Object.defineProperty(value, 'hidden',   { value: { foo: 1, bar: 2 }, enumerable: false, writable: false, configurable: true })
+    Object.defineProperty(value, 'computed', { get: () => 1, enumerable: true, configurable: true })
+
+    const result = deeppick(value, ['hidden.foo', 'computed'])
+
+    assert.ok(result instanceof Config, 'Should preserve the prototype')
+    assert.deepStrictEqual(result.hidden, { foo: 1 })
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result, 'hidden'),
+      { value: result.hidden, enumerable: false, writable: false, configurable: true })
+    assert.strictEqual(typeof Object.getOwnPropertyDescriptor(result, 'computed').get, 'function', 'Should preserve the accessor')
+  })
+
+  test('Returns undefined if nothing is picked', () =>
+  {
+    assert.strictEqual(deeppick({ foo: 1 }, ['bar']), undefined)
+    assert.deepStrictEqual(deeppick({ foo: { bar: 1 }, baz: 2 }, ['foo.qux', 'baz']), { baz: 2 }, 'Containers without a picked value should be removed')
+  })
+
+  test('Handles circular references', () =>
+  {
+    const value = { foo: 1, bar: 2 }
+    value.self = value
+
+    const result = deeppick(value, ['foo', 'self'])
+    assert.strictEqual(result.foo,  1)
+    assert.strictEqual(result.self, value, 'A picked circular reference should not be cloned')
+
+    const nested = deeppick(value, ['self.self.foo'])
+    assert.deepStrictEqual(Object.keys(nested), ['self'])
+    assert.strictEqual(nested.self, nested, 'The output should refer back to itself')
+  })
+})
@@ -0,0 +1,660 @@
+import freeze    from '@superhero/deep/freeze'
+import { bind }  from '@superhero/deep/readonly'
+
+/**
+ * Produces a new structure from the base, by calling the recipe with a
+ * mutable draft of the base. The writes to the draft are recorded, and the
+ * base itself is not mutated. The returned structure shares every subtree
+ * that was not written to with the base, only the changed containers, and
+ * the containers along the paths to them, are copied.
+ *
+ * @example const next = produce(state, (draft) => { draft.users[0].name = 'foo' })
+ * results in next !== state, next.users[0].name === 'foo', and
+ * next.settings === state.settings.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Objects, arrays, maps and sets are drafted, lazily, when read from the
+ * draft. A map is drafted by its values, and a set by its members. If
+ * nothing is written, the base is returned as is. If the recipe returns a
+ * value other than undefined, or the draft, the returned value replaces the
+ * produced structure.
+ *
+ * @example produce(list, (draft) => draft.filter(Boolean))
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The copied containers are writable, configurable and extensible, also if
+ * the base was frozen. With the option "freeze" set to true, the produced
+ * structure is deep-frozen by the freeze function, including the subtrees
+ * shared with the base, which are then frozen in the base as well.
+ *
+ * @example produce(state, recipe, { freeze: true })
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A draft is revoked when the recipe returns, using a draft after the
+ * recipe, for example by keeping a reference to it, throws a TypeError.
+ */
+export default function produce(base, recipe, options = {})
+{
+  options.freeze = options.freeze ?? false
+
+  const
+    scope = { states: new WeakMap, revokes: [], scanned: new WeakSet },
+    draft = createDraft(base, undefined, scope)
+
+  let output
+
+  try
+  {
+    const returned = recipe(draft)
+
+    output = undefined === returned
+           ? resolve(draft, scope)
+           : resolve(returned, scope)
+  }
+  finally
+  {
+    scope.revokes.forEach((revoke) => revoke())
+  }
+
+  return options.freeze
+    ? freeze(output)
+    : output
+}
+
+function createDraft(value, parent, scope)
+{
+  const state =
+  {
+    base      : value,
+    copy      : undefined,
+    modified  : false,
+    finalized : false,
+    drafts    : new Map,
+    parent,
+    scope
+  }
+
+  let shell, handler
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : shell = []                                          ; handler = objectHandler(state) ; break
+    case '[object Object]'  : shell = Object.create(Object.getPrototypeOf(value)) ; handler = objectHandler(state) ; break
+    case '[object Map]'     : shell = new Map                                     ; handler = mapHandler(state)    ; break
+    case '[object Set]'     : shell = new Set                                     ; handler = setHandler(state)    ; break
+    default                 : return value
+  }
+
+  const { proxy, revoke } = Proxy.revocable(shell, handler)
+
+  scope.states.set(proxy, state)
+  scope.revokes.push(revoke)
+
+  return proxy
+}
+
+function isDraftable(value)
+{
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   :
+    case '[object Object]'  :
+    case '[object Map]'     :
+    case '[object Set]'     : return true
+    default                 : return false
+  }
+}
+
+function latest(state)
+{
+  return state.copy ?? state.base
+}
+
+/**
+ * Copies the base shallowly, the first time the draft is written to, or a
+ * nested draft is created. The members of a set are drafted when copied,
+ * since a set has no keys to draft the members by.
+ */
+function prepareCopy(state)
+{
+  if(state.copy)
+  {
+    return
+  }
+
+  switch(Object.prototype.toString.call(state.base))
+  {
+    case '[object Map]':
+    {
+      state.copy = new Map(state.base)
+      break
+    }
+    case '[object Set]':
+    {
+      state.copy = new Set
+
+      for(const member of state.base)
+      {
+        if(isDraftable(member))
+        {
+          const draft = createDraft(member, state, state.scope)
+          state.drafts.set(member, draft)
+          state.copy.add(draft)
+        }
+        else
+        {
+          state.copy.add(member)
+        }
+      }
+      break
+    }
+    default:
+    {
+      state.copy = copy(state.base)
+    }
+  }
+}
+
+/**
+ * Copies the object, or the array, with the same prototype and property
+ * descriptors, but writable and configurable, so that the copy can be
+ * written to, also if the base is frozen.
+ */
+function copy(value)
+{
+  const output = Array.isArray(value)
+               ? new Array(value.length)
+               : Object.create(Object.getPrototypeOf(value))
+
+  if(Array.isArray(value))
+  {
+    Object.setPrototypeOf(output, Object.getPrototypeOf(value))
+  }
+
+  for(const key of Reflect.ownKeys(value))
+  {
+    if(Array.isArray(value) && 'length' === key)
+    {
+      continue
+    }
+
+    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+
+    if('value' in descriptor)
+    {
+      descriptor.writable = true
+    }
+
+    descriptor.configurable = true
+
+    Object.defineProperty(output, key, descriptor)
+  }
+
+  return output
+}
+
+/**
+ * Marks the draft, and the drafts along the path to it, as modified.
+ */
+function markModified(state)
+{
+  for(let current = state; current && false === current.modified; current = current.parent)
+  {
+    current.modified = true
+  }
+}
+
+function objectHandler(state)
+{
+  return {
+    get(shell, key, receiver)
+    {
+      const
+        source      = latest(state),
+        descriptor  = Reflect.getOwnPropertyDescriptor(source, key)
+
+      if(undefined === descriptor
+      || false === ('value' in descriptor))
+      {
+        return Reflect.get(source, key, receiver)
+      }
+
+      // a value that is still the value of the base is drafted when read
+      if(isDraftable(descriptor.value)
+      && descriptor.value === Reflect.getOwnPropertyDescriptor(state.base, key)?.value)
+      {
+        const draft = createDraft(descriptor.value, state, state.scope)
+        prepareCopy(state)
+        Object.defineProperty(state.copy, key, { ...Object.getOwnPropertyDescriptor(state.copy, key), value: draft })
+        return draft
+      }
+
+      return descriptor.value
+    },
+    set(shell, key, value)
+    {
+      const descriptor = Reflect.getOwnPropertyDescriptor(latest(state), key)
+
+      if(descriptor
+      && 'value' in descriptor
+      && Object.is(descriptor.value, value))
+      {
+        return true
+      }
+
+      prepareCopy(state)
+      markModified(state)
+      return Reflect.set(state.copy, key, value)
+    },
+    deleteProperty(shell, key)
+    {
+      if(Object.hasOwn(latest(state), key))
+      {
+        prepareCopy(state)
+        markModified(state)
+        return Reflect.deleteProperty(state.copy, key)
+      }
+
+      return true
+    },
+    defineProperty(shell, key, descriptor)
+    {
+      prepareCopy(state)
+      markModified(state)
+      return Reflect.defineProperty(state.copy, key, descriptor)
+    },
+    has(shell, key)
+    {
+      return key in latest(state)
+    },
+    ownKeys()
+    {
+      return Reflect.ownKeys(latest(state))
+    },
+    getOwnPropertyDescriptor(shell, key)
+    {
+      const descriptor = Reflect.getOwnPropertyDescriptor(latest(state), key)
+
+      if(undefined === descriptor)
+      {
+        return descriptor
+      }
+
+      // the shell does not have the property, it must be reported as
+      // configurable, except the length of an array that the shell has as
+      // writable, also if the base is frozen
+      if(false === (Array.isArray(shell) && 'length' === key))
+      {
+        descriptor.configurable = true
+      }
+
+      if('value' in descriptor)
+      {
+        descriptor.writable = true
+      }
+
+      return descriptor
+    },
+    getPrototypeOf()
+    {
+      return Object.getPrototypeOf(state.base)
+    },
+    setPrototypeOf()
+    {
+      throw new UnsupportedOperationError('Cannot set the prototype of a draft')
+    },
+    preventExtensions()
+    {
+      throw new UnsupportedOperationError('Cannot prevent extensions of a draft')
+    }
+  }
+}
+
+function mapHandler(state)
+{
+  return {
+    get(shell, method, receiver)
+    {
+      switch(method)
+      {
+        case 'size'   : return latest(state).size
+        case 'has'    : return (key) => latest(state).has(key)
+        case 'get'    : return (key) => getMapValue(state, key)
+        case 'keys'   : return () => latest(state).keys()
+        case 'values' : return () => mapIterator(state, ([, value]) => value)
+        case 'set':
+        {
+          return (key, value) =>
+          {
+            const source = latest(state)
+
+            if(false === source.has(key)
+            || false === Object.is(source.get(key), value))
+            {
+              prepareCopy(state)
+              markModified(state)
+              state.copy.set(key, value)
+            }
+
+            return receiver
+          }
+        }
+        case 'delete':
+        {
+          return (key) =>
+          {
+            if(false === latest(state).has(key))
+            {
+              return false
+            }
+
+            prepareCopy(state)
+            markModified(state)
+            return state.copy.delete(key)
+          }
+        }
+        case 'clear':
+        {
+          return () =>
+          {
+            if(latest(state).size)
+            {
+              prepareCopy(state)
+              markModified(state)
+              state.copy.clear()
+            }
+          }
+        }
+        case 'entries':
+        case Symbol.iterator:
+        {
+          return () => mapIterator(state, (entry) => entry)
+        }
+        case 'forEach':
+        {
+          return (callback, thisArg) =>
+          {
+            for(const [key, value] of mapIterator(state, (entry) => entry))
+            {
+              callback.call(thisArg, value, key, receiver)
+            }
+          }
+        }
+      }
+
+      return bind(latest(state), method)
+    }
+  }
+}
+
+/**
+ * A value of the map that is still the value of the base is drafted when
+ * read.
+ */
+function getMapValue(state, key)
+{
+  const value = latest(state).get(key)
+
+  if(isDraftable(value)
+  && value === state.base.get(key))
+  {
+    const draft = createDraft(value, state, state.scope)
+    prepareCopy(state)
+    state.copy.set(key, draft)
+    return draft
+  }
+
+  return value
+}
+
+function* mapIterator(state, yields)
+{
+  for(const key of [...latest(state).keys()])
+  {
+    yield yields([key, getMapValue(state, key)])
+  }
+}
+
+function setHandler(state)
+{
+  return {
+    get(shell, method, receiver)
+    {
+      switch(method)
+      {
+        case 'size'   : return latest(state).size
+        case 'has'    : return (member) => hasMember(state, member)
+        case 'add':
+        {
+          return (member) =>
+          {
+            if(false === hasMember(state, member))
+            {
+              prepareCopy(state)
+              markModified(state)
+              state.copy.add(member)
+            }
+
+            return receiver
+          }
+        }
+        case 'delete':
+        {
+          return (member) =>
+          {
+            if(false === hasMember(state, member))
+            {
+              return false
+            }
+
+            prepareCopy(state)
+            markModified(state)
+            return state.copy.delete(member)
+                || state.copy.delete(state.drafts.get(member))
+          }
+        }
+        case 'clear':
+        {
+          return () =>
+          {
+            if(latest(state).size)
+            {
+              prepareCopy(state)
+              markModified(state)
+              state.copy.clear()
+            }
+          }
+        }
+        case 'entries':
+        {
+          return () =>
+          {
+            prepareCopy(state)
+            return state.copy.entries()
+          }
+        }
+        case 'keys'   :
+        case 'values' :
+        case Symbol.iterator:
+        {
+          return () =>
+          {
+            prepareCopy(state)
+            return state.copy.values()
+          }
+        }
+        case 'forEach':
+        {
+          return (callback, thisArg) =>
+          {
+            prepareCopy(state)
+
+            for(const member of [...state.copy])
+            {
+              callback.call(thisArg, member, member, receiver)
+            }
+          }
+        }
+      }
+
+      return bind(latest(state), method)
+    }
+  }
+}
+
+/**
+ * A member of the base is also found by its draft, and a draft by the member
+ * of the base.
+ */
+function hasMember(state, member)
+{
+  if(undefined === state.copy)
+  {
+    return state.base.has(member)
+  }
+
+  return state.copy.has(member)
+      || (state.drafts.has(member) && state.copy.has(state.drafts.get(member)))
+}
+
+/**
+ * Resolves a draft to the produced value, or a value that is not a draft,
+ * such as a new value written to a draft, by resolving the drafts nested
+ * in it.
+ */
+function resolve(value, scope)
+{
+  return scope.states.has(value)
+    ? finalize(scope.states.get(value), scope)
+    : finalizeNew(value, scope)
+}
+
+/**
+ * A draft that was not modified resolves to its base, else to its copy,
+ * where the nested drafts are resolved.
+ */
+function finalize(state, scope)
+{
+  if(false === state.modified)
+  {
+    return state.base
+  }
+
+  if(state.finalized)
+  {
+    return state.copy
+  }
+
+  state.finalized = true
+
+  switch(Object.prototype.toString.call(state.base))
+  {
+    case '[object Map]':
+    {
+      for(const [key, value] of state.copy)
+      {
+        if(value !== state.base.get(key))
+        {
+          state.copy.set(key, resolve(value, scope))
+        }
+      }
+      break
+    }
+    case '[object Set]':
+    {
+      const members = [...state.copy].map((member) => state.base.has(member) ? member : resolve(member, scope))
+
+      state.copy.clear()
+      members.forEach((member) => state.copy.add(member))
+      break
+    }
+    default:
+    {
+      for(const key of Reflect.ownKeys(state.copy))
+      {
+        const descriptor = Object.getOwnPropertyDescriptor(state.copy, key)
+
+        if('value' in descriptor
+        && descriptor.value !== Reflect.getOwnPropertyDescriptor(state.base, key)?.value)
+        {
+          Object.defineProperty(state.copy, key, { ...descriptor, value: resolve(descriptor.value, scope) })
+        }
+      }
+    }
+  }
+
+  return state.copy
+}
+
+/**
+ * Resolves the drafts nested in a new value, in place.
+ */
+function finalizeNew(value, scope)
+{
+  if(false === isDraftable(value)
+  || scope.scanned.has(value))
+  {
+    return value
+  }
+
+  scope.scanned.add(value)
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Map]':
+    {
+      for(const [key, member] of value)
+      {
+        const resolved = resolve(member, scope)
+
+        if(resolved !== member)
+        {
+          Map.prototype.set.call(value, key, resolved)
+        }
+      }
+      break
+    }
+    case '[object Set]':
+    {
+      const
+        members   = [...value],
+        resolved  = members.map((member) => resolve(member, scope))
+
+      if(resolved.some((member, i) => member !== members[i]))
+      {
+        Set.prototype.clear.call(value)
+        resolved.forEach((member) => Set.prototype.add.call(value, member))
+      }
+      break
+    }
+    default:
+    {
+      for(const key of Reflect.ownKeys(value))
+      {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key)
+
+        if('value' in descriptor
+        && (descriptor.writable || descriptor.configurable))
+        {
+          const resolved = resolve(descriptor.value, scope)
+
+          if(resolved !== descriptor.value)
+          {
+            Object.defineProperty(value, key, { ...descriptor, value: resolved })
+          }
+        }
+      }
+    }
+  }
+
+  return value
+}
+
+class UnsupportedOperationError extends TypeError
+{
+  name = 'UnsupportedOperationError'
+  code = 'E_DEEP_PRODUCE_UNSUPPORTED_OPERATION'
+}
@@ -0,0 +1,166 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepproduce      from '@superhero/deep/produce'
+
+suite('@superhero/deep/produce', () =>
+{
+  test('Produces a new structure without mutating the base', () =>
+  {
+    const
+      base = { users: [{ name: 'foo' }, { name: 'bar' }], settings: { theme: 'dark' } },
+      next = deepproduce(base, (draft) =>
+      {
+        draft.users[0].name = 'baz'
+        draft.users.push({ name: 'qux' })
+      })
+
+    assert.deepStrictEqual(next, { users: [{ name: 'baz' }, { name: 'bar' }, { name: 'qux' }], settings: { theme: 'dark' } })
+    assert.deepStrictEqual(base, { users: [{ name: 'foo' }, { name: 'bar' }], settings: { theme: 'dark' } }, 'Should not mutate the base')
+  })
+
+  test('Shares the untouched subtrees with the base', () =>
+  {
+    const
+      base = { users: [{ name: 'foo' }, { name: 'bar' }], settings: { theme: 'dark' } },
+      next = deepproduce(base, (draft) => { draft.users[0].name = 'baz' })
+
+    assert.notStrictEqual(next,           base)
+    assert.notStrictEqual(next.users,     base.users)
+    assert.notStrictEqual(next.users[0],  base.users[0])
+    assert.strictEqual(next.users[1],     base.users[1],  'Should share the untouched element')
+    assert.strictEqual(next.settings,     base.settings,  'Should share the untouched object')
+  })
+
+  test('Returns the base when nothing is changed', () =>
+  {
+    const base = { foo: { bar: 1 } }
+
+    assert.strictEqual(deepproduce(base, (draft) => { draft.foo.bar }),     base)
+    assert.strictEqual(deepproduce(base, (draft) => { draft.foo.bar = 1 }), base, 'Should ignore writing the same value')
+  })
+
+  test('Produces maps', () =>
+  {
+    const
+      base = new Map([['foo', { count: 1 }], ['bar', { count: 2 }]]),
+      next = deepproduce(base, (draft) =>
+      {
+        draft.get('foo').count++
+        draft.set('baz', { count: 3 })
+        draft.delete('qux')
+      })
+
+    assert.deepStrictEqual(next, new Map([['foo', { count: 2 }], ['bar', { count: 2 }], ['baz', { count: 3 }]]))
+    assert.strictEqual(next.get('bar'),     base.get('bar'))
+    assert.strictEqual(base.get('foo').count, 1)
+    assert.strictEqual(base.has('baz'),     false)
+  })
+
+  test('Produces sets', () =>
+  {
+    const
+      member  = { id: 1 },
+      base    = new Set([member, 'foo']),
+      next    = deepproduce(base, (draft) =>
+      {
+        for(const item of draft)
+        {
+          if(typeof item === 'object')
+          {
+            item.id = 2
+          }
+        }
+
+        assert.strictEqual(draft.has(member), true, 'Should find a member of the base')
+        draft.delete('foo')
+        draft.add('bar')
+      })
+
+    assert.deepStrictEqual(next, new Set([{ id: 2 }, 'bar']))
+    assert.deepStrictEqual(base, new Set([{ id: 1 }, 'foo']))
+  })
+
+  test('Resolves drafts assigned to new values', () =>
+  {
+    const
+      base = { list: [{ id: 1 }] },
+      next = deepproduce(base, (draft) =>
+      {
+        draft.selected  = { item: draft.list[0] }
+        draft.list[0].id = 2
+      })
+
+    assert.strictEqual(next.selected.item, next.list[0])
+    assert.deepStrictEqual(next.selected, { item: { id: 2 } })
+  })
+
+  test('Replaces the structure by the returned value', () =>
+  {
+    const base = [1, 2, 3]
+
+    assert.deepStrictEqual(deepproduce(base, (draft) => draft.filter((n) => n > 1)), [2, 3])
+    assert.strictEqual(deepproduce(1, (value) => value + 1), 2)
+  })
+
+  test('Freezes the produced structure when requested', () =>
+  {
+    const
+      base    = { foo: { bar: 1 }, baz: { qux: 2 } },
+      frozen  = deepproduce(base, (draft) => { draft.foo.bar = 2 }, { freeze: true }),
+      next    = deepproduce(frozen, (draft) => { draft.baz.qux = 3 })
+
+    assert.strictEqual(Object.isFrozen(frozen),     true)
+    assert.strictEqual(Object.isFrozen(frozen.foo), true)
+    assert.deepStrictEqual(next, { foo: { bar: 2 }, baz: { qux: 3 } }, 'Should produce from a frozen base')
+    assert.strictEqual(next.foo, frozen.foo)
+    assert.strictEqual(Object.isFrozen(base.baz), true,   'Should freeze the subtrees shared with the base')
+    assert.strictEqual(Object.isFrozen(base),     false,  'Should not freeze the copied containers of the base')
+  })
+
+  test('Produces from frozen arrays', () =>
+  {
+    const
+      base = Object.freeze({ list: Object.freeze([1]) }),
+      next = deepproduce(base, (draft) =>
+      {
+        assert.deepStrictEqual(Object.keys(draft.list), ['0'])
+        assert.strictEqual(Object.getOwnPropertyDescriptor(draft.list, 'length').writable, true)
+        draft.list.push(2)
+      })
+
+    assert.deepStrictEqual(next, { list: [1, 2] })
+    assert.deepStrictEqual(base, { list: [1] })
+  })
+
+  test('Preserves prototypes', () =>
+  {
+    class Point
+    {
+      constructor(x) { this.x = x }
+    }
+
+    const next = deepproduce({ point: new Point(1) }, (draft) =>
+    {
+      assert.ok(draft.point instanceof Point, 'Should draft by the same prototype')
+      draft.point.x = 2
+    })
+
+    assert.ok(next.point instanceof Point)
+    assert.strictEqual(next.point.x, 2)
+  })
+
+  test('Revokes the drafts when the recipe returns', () =>
+  {
+    let leaked
+
+    deepproduce({ foo: {} }, (draft) => { leaked = draft })
+
+    assert.throws(() => leaked.foo, TypeError)
+  })
+
+  test('Throws on an unsupported operation on a draft', () =>
+  {
+    assert.throws(() => deepproduce({}, (draft) => { Object.freeze(draft) }),
+      { code: 'E_DEEP_PRODUCE_UNSUPPORTED_OPERATION' })
+  })
+})
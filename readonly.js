@@ -0,0 +1,292 @@
+/**
+ * Returns a read-only view of the value, without mutating the value itself.
+ *
+ * Arrays, objects, maps and sets are wrapped in a proxy, where any attempt to
+ * write throws a ReadonlyError with the path of the attempted write. Nested
+ * values are wrapped lazily when read. The view reads from the original
+ * value, so changes made by the owner of the original reference are visible
+ * through the view.
+ *
+ * @example readonly({ foo: { bar: 1 } }).foo.bar = 2 throws a ReadonlyError
+ * with the path ['foo', 'bar'].
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A property that is neither writable nor configurable is returned as is,
+ * since a proxy must return the actual value of such a property.
+ */
+export default function readonly(value)
+{
+  const state = { views: new WeakMap, targets: new WeakMap, handlers: { objectHandler, mapHandler, setHandler } }
+  return view(value, [], state)
+}
+
+/**
+ * Wraps the value in a proxy by the handlers of the state, if the value is
+ * an array, an object, a map or a set. The handlers are created by the path
+ * and the state, which also caches the views, and resolves the views to the
+ * viewed values. Used by the views of the readonly and the observe functions.
+ *
+ * @example view(value, [], { views: new WeakMap, targets: new WeakMap, handlers })
+ */
+export function view(value, path, state)
+{
+  let handler
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   :
+    case '[object Object]'  : handler = state.handlers.objectHandler(path, state)  ; break
+    case '[object Map]'     : handler = state.handlers.mapHandler(path, state)     ; break
+    case '[object Set]'     : handler = state.handlers.setHandler(path, state)     ; break
+    default                 : return value
+  }
+
+  // a view is cached per value and path, to keep the identity of the view
+  const
+    id      = path.map(String).join('\0'),
+    cached  = state.views.get(value)?.get(id)
+
+  if(cached)
+  {
+    return cached
+  }
+
+  const proxy = new Proxy(value, handler)
+
+  if(false === state.views.has(value))
+  {
+    state.views.set(value, new Map)
+  }
+
+  state.views.get(value).set(id, proxy)
+  state.targets.set(proxy, value)
+
+  return proxy
+}
+
+/**
+ * Reads the property through the view, where a nested value is wrapped in a
+ * view of its own.
+ */
+export function readProperty(target, key, receiver, path, state)
+{
+  const
+    value       = Reflect.get(target, key, receiver),
+    descriptor  = Reflect.getOwnPropertyDescriptor(target, key)
+
+  if(descriptor
+  && false === descriptor.configurable
+  && false === descriptor.writable)
+  {
+    return value
+  }
+
+  return view(value, [...path, key], state)
+}
+
+function objectHandler(path, state)
+{
+  return {
+    get(target, key, receiver)
+    {
+      return readProperty(target, key, receiver, path, state)
+    },
+    getOwnPropertyDescriptor(target, key)
+    {
+      const descriptor = Reflect.getOwnPropertyDescriptor(target, key)
+
+      // the value of a non-configurable, non-writable, property can only be
+      // described as is
+      if(descriptor
+      && 'value' in descriptor
+      && (descriptor.configurable || descriptor.writable))
+      {
+        descriptor.value = view(descriptor.value, [...path, key], state)
+      }
+
+      return descriptor
+    },
+    set(target, key)
+    {
+      deny('assign to', [...path, key])
+    },
+    defineProperty(target, key)
+    {
+      deny('define', [...path, key])
+    },
+    deleteProperty(target, key)
+    {
+      deny('delete', [...path, key])
+    },
+    setPrototypeOf()
+    {
+      deny('set the prototype of', path)
+    },
+    preventExtensions()
+    {
+      deny('prevent extensions of', path)
+    }
+  }
+}
+
+function mapHandler(path, state)
+{
+  return {
+    ...objectHandler(path, state),
+    get(map, method, receiver)
+    {
+      switch(method)
+      {
+        case 'set'    : return (key) => deny('set', [...path, unwrap(key, state)])
+        case 'delete' : return (key) => deny('delete', [...path, unwrap(key, state)])
+        case 'clear'  : return () => deny('clear', path)
+      }
+
+      return readMap(map, method, receiver, path, state)
+    }
+  }
+}
+
+/**
+ * Reads the map through the view by the method, where the keys and the
+ * values are wrapped in views of their own. A key has no path of its own,
+ * the path of a key is the path of the map. The methods that write to the
+ * map are bound to the map, and are expected to be handled by the view.
+ */
+export function readMap(map, method, receiver, path, state)
+{
+  switch(method)
+  {
+    case 'size'   : return map.size
+    case 'has'    : return (key) => map.has(unwrap(key, state))
+    case 'get'    : return (key) => viewEntry(map, unwrap(key, state), path, state)[1]
+    case 'keys'   : return () => mapIterator(map, path, state, ([key]) => key)
+    case 'values' : return () => mapIterator(map, path, state, ([, value]) => value)
+    case 'entries':
+    case Symbol.iterator:
+    {
+      return () => mapIterator(map, path, state, (entry) => entry)
+    }
+    case 'forEach':
+    {
+      return (callback, thisArg) =>
+      {
+        for(const [key, value] of mapIterator(map, path, state, (entry) => entry))
+        {
+          callback.call(thisArg, value, key, receiver)
+        }
+      }
+    }
+  }
+
+  return bind(map, method)
+}
+
+function* mapIterator(map, path, state, yields)
+{
+  for(const key of map.keys())
+  {
+    yield yields(viewEntry(map, key, path, state))
+  }
+}
+
+function viewEntry(map, key, path, state)
+{
+  return [view(key, path, state), view(map.get(key), [...path, key], state)]
+}
+
+function setHandler(path, state)
+{
+  return {
+    ...objectHandler(path, state),
+    get(set, method, receiver)
+    {
+      switch(method)
+      {
+        case 'add'    : return () => deny('add to', path)
+        case 'delete' : return () => deny('delete from', path)
+        case 'clear'  : return () => deny('clear', path)
+      }
+
+      return readSet(set, method, receiver, path, state)
+    }
+  }
+}
+
+/**
+ * Reads the set through the view by the method, same as the readMap
+ * function. A member of a set has no key, the path of a member is its index
+ * in the iteration order of the set.
+ */
+export function readSet(set, method, receiver, path, state)
+{
+  switch(method)
+  {
+    case 'size'   : return set.size
+    case 'has'    : return (member) => set.has(unwrap(member, state))
+    case 'entries': return () => setIterator(set, path, state, (member) => [member, member])
+    case 'keys'   :
+    case 'values' :
+    case Symbol.iterator:
+    {
+      return () => setIterator(set, path, state, (member) => member)
+    }
+    case 'forEach':
+    {
+      return (callback, thisArg) =>
+      {
+        for(const member of setIterator(set, path, state, (member) => member))
+        {
+          callback.call(thisArg, member, member, receiver)
+        }
+      }
+    }
+  }
+
+  return bind(set, method)
+}
+
+function* setIterator(set, path, state, yields)
+{
+  let i = 0
+
+  for(const member of set)
+  {
+    yield yields(view(member, [...path, i++], state))
+  }
+}
+
+/**
+ * Methods of a map or a set must be called on the map or set itself.
+ */
+export function bind(target, key)
+{
+  const value = Reflect.get(target, key, target)
+
+  return typeof value === 'function'
+    ? value.bind(target)
+    : value
+}
+
+/**
+ * A view passed back as an argument, or written as a value, is resolved to
+ * the viewed value.
+ */
+export function unwrap(value, state)
+{
+  return state.targets.get(value) ?? value
+}
+
+function deny(action, path)
+{
+  const error = new ReadonlyError(`Cannot ${action} "${path.map(String).join('.')}" of a read-only view`)
+  error.path  = path
+  throw error
+}
+
+class ReadonlyError extends TypeError
+{
+  name = 'ReadonlyError'
+  code = 'E_DEEP_READONLY'
+}
@@ -0,0 +1,154 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepreadonly     from '@superhero/deep/readonly'
+
+suite('@superhero/deep/readonly', () =>
+{
+  test('Reads through the view', () =>
+  {
+    const
+      obj   = { foo: { bar: [1, 2, { baz: 'qux' }] } },
+      view  = deepreadonly(obj)
+
+    assert.deepStrictEqual(view, obj)
+    assert.strictEqual(view.foo.bar[2].baz, 'qux')
+    assert.strictEqual(view.foo.bar.length, 3)
+    assert.deepStrictEqual(view.foo.bar.map((value) => typeof value), ['number', 'number', 'object'])
+    assert.strictEqual(view.foo, view.foo, 'Should keep the identity of nested views')
+  })
+
+  test('Throws on writes with the attempted path', () =>
+  {
+    const view = deepreadonly({ foo: { bar: [1, 2] } })
+
+    assert.throws(() => { view.foo.baz = 1 },     { name: 'ReadonlyError', code: 'E_DEEP_READONLY', path: ['foo', 'baz'] })
+    assert.throws(() => { delete view.foo },      { name: 'ReadonlyError', code: 'E_DEEP_READONLY', path: ['foo'] })
+    assert.throws(() => { view.foo.bar[0] = 3 },  { name: 'ReadonlyError', path: ['foo', 'bar', '0'] })
+    assert.throws(() => view.foo.bar.push(3),     { name: 'ReadonlyError', path: ['foo', 'bar', '2'] })
+    assert.throws(() => Object.defineProperty(view, 'qux', { value: 1 }), { name: 'ReadonlyError', path: ['qux'] })
+    assert.throws(() => Object.setPrototypeOf(view.foo, null),            { name: 'ReadonlyError', path: ['foo'] })
+    assert.throws(() => Object.freeze(view.foo),                          { name: 'ReadonlyError', path: ['foo'] })
+  })
+
+  test('Describes nested values as views', () =>
+  {
+    const
+      obj   = Object.defineProperty({ foo: { bar: 1 } }, 'baz', { value: { qux: 1 }, enumerable: true }),
+      view  = deepreadonly(obj)
+
+    assert.throws(() => { Object.getOwnPropertyDescriptor(view, 'foo').value.bar = 2 }, { name: 'ReadonlyError', path: ['foo', 'bar'] })
+    assert.throws(() => { Object.getOwnPropertyDescriptors(view).foo.value.bar = 2 },  { name: 'ReadonlyError', path: ['foo', 'bar'] })
+    assert.strictEqual(Object.getOwnPropertyDescriptor(view, 'foo').value, view.foo)
+    assert.strictEqual(Object.getOwnPropertyDescriptor(view, 'baz').value, obj.baz, 'A non-configurable, non-writable, value is described as is')
+    assert.strictEqual(obj.foo.bar, 1)
+  })
+
+  test('Does not mutate the original value', () =>
+  {
+    const obj = { foo: { bar: 1 } }
+
+    deepreadonly(obj)
+
+    obj.foo.bar = 2
+    obj.baz     = 3
+
+    assert.deepStrictEqual(obj, { foo: { bar: 2 }, baz: 3 })
+    assert.strictEqual(Object.isFrozen(obj), false)
+  })
+
+  test('Changes made to the original value are visible through the view', () =>
+  {
+    const
+      obj   = { foo: { bar: 1 } },
+      view  = deepreadonly(obj)
+
+    obj.foo.bar = 2
+    obj.baz     = { qux: 3 }
+
+    assert.strictEqual(view.foo.bar,  2)
+    assert.strictEqual(view.baz.qux,  3)
+    assert.throws(() => { view.baz.qux = 4 }, { path: ['baz', 'qux'] })
+  })
+
+  test('Wraps maps', () =>
+  {
+    const
+      map   = new Map([['foo', { bar: 1 }]]),
+      view  = deepreadonly({ map })
+
+    assert.ok(view.map instanceof Map)
+    assert.strictEqual(view.map.size,           1)
+    assert.strictEqual(view.map.has('foo'),     true)
+    assert.strictEqual(view.map.get('foo').bar, 1)
+    assert.deepStrictEqual([...view.map.keys()], ['foo'])
+    assert.throws(() => view.map.set('baz', 2),       { name: 'ReadonlyError', path: ['map', 'baz'] })
+    assert.throws(() => view.map.delete('foo'),       { name: 'ReadonlyError', path: ['map', 'foo'] })
+    assert.throws(() => view.map.clear(),             { name: 'ReadonlyError', path: ['map'] })
+    assert.throws(() => { view.map.get('foo').bar = 2 },  { name: 'ReadonlyError', path: ['map', 'foo', 'bar'] })
+
+    for(const [key, value] of view.map)
+    {
+      assert.strictEqual(key, 'foo')
+      assert.throws(() => { value.bar = 2 }, { path: ['map', 'foo', 'bar'] })
+    }
+
+    view.map.forEach((value, key, map) =>
+    {
+      assert.strictEqual(map, view.map)
+      assert.throws(() => { value.bar = 2 }, { path: ['map', 'foo', 'bar'] })
+    })
+  })
+
+  test('Wraps the keys of maps', () =>
+  {
+    const
+      key   = { foo: 1 },
+      view  = deepreadonly({ map: new Map([[key, 'bar']]) })
+
+    const [ viewed ] = view.map.keys()
+
+    assert.notStrictEqual(viewed, key)
+    assert.throws(() => { viewed.foo = 2 },                               { name: 'ReadonlyError', path: ['map', 'foo'] })
+    assert.throws(() => { [...view.map][0][0].foo = 2 },                  { name: 'ReadonlyError', path: ['map', 'foo'] })
+    assert.throws(() => view.map.forEach((_, key) => { key.foo = 2 }),    { name: 'ReadonlyError', path: ['map', 'foo'] })
+    assert.strictEqual(view.map.get(viewed),  'bar', 'Should resolve a viewed key')
+    assert.strictEqual(view.map.has(viewed),  true)
+    assert.strictEqual(key.foo, 1)
+  })
+
+  test('Wraps sets', () =>
+  {
+    const
+      member  = { foo: 1 },
+      view    = deepreadonly(new Set([member]))
+
+    assert.ok(view instanceof Set)
+    assert.strictEqual(view.size,         1)
+    assert.strictEqual(view.has(member),  true)
+    assert.throws(() => view.add(2),        { name: 'ReadonlyError', path: [] })
+    assert.throws(() => view.delete(1),     { name: 'ReadonlyError', path: [] })
+    assert.throws(() => view.clear(),       { name: 'ReadonlyError', path: [] })
+
+    const [value] = view
+
+    assert.strictEqual(view.has(value), true, 'Should resolve a view to the viewed member')
+    assert.throws(() => { value.foo = 2 },  { name: 'ReadonlyError', path: [0, 'foo'] })
+  })
+
+  test('Returns primitives as is', () =>
+  {
+    assert.strictEqual(deepreadonly('foo'), 'foo')
+    assert.strictEqual(deepreadonly(null),  null)
+  })
+
+  test('Handles circular references', () =>
+  {
+    const obj = {}
+    obj.self = obj
+
+    const view = deepreadonly(obj)
+
+    assert.strictEqual(view.self.self.self.self, view.self.self.self.self)
+    assert.throws(() => { view.self.self.foo = 1 }, { path: ['self', 'self', 'foo'] })
+  })
+})
@@ -0,0 +1,611 @@
+import { Buffer }   from 'node:buffer'
+import deephash     from '@superhero/deep/hash'
+
+const views =
+[
+  'DataView',
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+  'BigInt64Array',
+  'BigUint64Array'
+]
+
+const errors =
+{
+  AggregateError,
+  Error,
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError
+}
+
+/**
+ * Serializes a deep structure to tagged JSON, and parses it back, without
+ * losing the types that JSON does not support, such as maps, sets, dates,
+ * regular expressions, bigints, undefined, symbols, symbol keys, and shared
+ * or circular references.
+ *
+ * @example parse(stringify({ foo: new Map([['bar', 1n]]) })) results in
+ * { foo: new Map([['bar', 1n]]) }
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A value that is not supported by JSON is encoded as an object with the
+ * type tagged by the "$" key. A key of an object that starts with "$" is
+ * escaped by an additional "$".
+ *
+ * @example stringify({ foo: undefined, $bar: 1 }) results in
+ * '{"foo":{"$":"undefined"},"$$bar":1}'
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * An instance of a class, an object with a prototype other than the object
+ * prototype or null, can not be parsed back to an equal value, and throws an
+ * UnsupportedTypeError, same as a function.
+ */
+export default { stringify, parse }
+
+/**
+ * Serializes the value to a tagged JSON string. An object, or a symbol, that
+ * is referenced more than once is identified by an id, and the following
+ * references refer to the id.
+ *
+ * With the "canonical" option set to true, the keys of objects are sorted,
+ * the entries of maps and the members of sets are ordered by their hash, and
+ * the stack of errors is left out, so that equal structures serialize to the
+ * same string.
+ *
+ * @example stringify(config, { canonical: true })
+ */
+export function stringify(value, options = {})
+{
+  options.canonical = options.canonical ?? false
+
+  const state = { options, counts: new Map, ids: new Map }
+
+  count(value, state)
+
+  return JSON.stringify(encode(value, state))
+}
+
+/**
+ * Parses a tagged JSON string, serialized by the stringify function, back to
+ * the deep structure.
+ *
+ * @example parse('{"$":"Set","v":[1,2]}') results in new Set([1, 2])
+ */
+export function parse(text)
+{
+  const state = { refs: new Map }
+
+  return decode(JSON.parse(text), state)
+}
+
+/**
+ * Counts the references to each object and symbol, to know which values are
+ * shared, or circular, and need to be identified.
+ */
+function count(value, state)
+{
+  if(typeof value === 'symbol')
+  {
+    state.counts.set(value, (state.counts.get(value) ?? 0) + 1)
+    return
+  }
+
+  if(false === isObject(value))
+  {
+    return
+  }
+
+  const references = (state.counts.get(value) ?? 0) + 1
+
+  state.counts.set(value, references)
+
+  if(1 === references)
+  {
+    for(const child of childrenOf(value))
+    {
+      count(child, state)
+    }
+  }
+}
+
+function childrenOf(value)
+{
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : return Object.keys(value).map((key) => value[key])
+    case '[object Object]'  : return [ ...Object.keys(value).map((key) => value[key]), ...symbolsOf(value).flat() ]
+    case '[object Error]'   : return [ ...hiddenErrorKeysOf(value), ...Object.keys(value) ].map((key) => value[key])
+    case '[object Map]'     : return [...value].flat()
+    case '[object Set]'     : return [...value]
+    case '[object Symbol]'  : return [ value.valueOf() ]
+    default                 : return ArrayBuffer.isView(value) && false === Buffer.isBuffer(value) ? [ value.buffer ] : []
+  }
+}
+
+function encode(value, state)
+{
+  switch(typeof value)
+  {
+    case 'string'     :
+    case 'boolean'    : return value
+    case 'undefined'  : return { $: 'undefined' }
+    case 'bigint'     : return { $: 'bigint', v: String(value) }
+    case 'symbol'     : return encodeReference(value, state, (id) => encodeSymbol(value, id))
+    case 'function'   : throw new UnsupportedTypeError(`Can not serialize the function "${value.name}"`)
+    case 'number':
+    {
+      return Number.isFinite(value) && false === Object.is(value, -0)
+        ? value
+        : { $: 'number', v: Object.is(value, -0) ? '-0' : String(value) }
+    }
+  }
+
+  return null === value
+    ? null
+    : encodeReference(value, state, (id) => encodeObject(value, id, state))
+}
+
+/**
+ * A value that is referenced more than once is identified by an id at the
+ * first reference, and refers to the id at the following references.
+ */
+function encodeReference(value, state, encoder)
+{
+  if(state.ids.has(value))
+  {
+    return { $: 'ref', id: state.ids.get(value) }
+  }
+
+  if(state.counts.get(value) > 1)
+  {
+    const id = state.ids.size + 1
+    state.ids.set(value, id)
+    return encoder(id)
+  }
+
+  return encoder()
+}
+
+function encodeSymbol(symbol, id)
+{
+  const key = Symbol.keyFor(symbol)
+
+  return undefined === key
+    ? tagged('symbol', id, { description: symbol.description })
+    : tagged('symbol', id, { for: key })
+}
+
+function encodeObject(value, id, state)
+{
+  const type = Object.prototype.toString.call(value)
+
+  switch(type)
+  {
+    case '[object Array]':
+    {
+      const items = []
+
+      for(let i = 0; i < value.length; i++)
+      {
+        items.push(i in value ? encode(value[i], state) : { $: 'hole' })
+      }
+
+      return undefined === id
+        ? items
+        : tagged('Array', id, { v: items })
+    }
+    case '[object Object]':
+    {
+      const
+        prototype = Object.getPrototypeOf(value),
+        symbols   = symbolsOf(value)
+
+      // an instance of a class would be parsed as a plain object
+      if(null !== prototype
+      && Object.prototype !== prototype)
+      {
+        throw new UnsupportedTypeError(`Can not serialize an instance of ${String(prototype.constructor?.name)}`)
+      }
+
+      if(undefined === id
+      && 0 === symbols.length
+      && null !== prototype)
+      {
+        return encodeProperties(value, state)
+      }
+
+      return tagged('object', id,
+      {
+        ...(null === prototype && { prototype: null }),
+        v       : encodeProperties(value, state),
+        ...(symbols.length && { symbols: ordered(symbols, state).map(([ key, child ]) =>
+          [ encode(key, state), encode(child, state) ]) })
+      })
+    }
+    case '[object Date]':
+    {
+      return tagged('Date', id, { v: encode(value.getTime(), state) })
+    }
+    case '[object RegExp]':
+    {
+      return tagged('RegExp', id, { source: value.source, flags: value.flags, lastIndex: value.lastIndex })
+    }
+    case '[object Map]':
+    {
+      const entries = ordered([...value], state)
+      return tagged('Map', id, { v: entries.map(([ key, child ]) => [ encode(key, state), encode(child, state) ]) })
+    }
+    case '[object Set]':
+    {
+      const members = ordered([...value], state)
+      return tagged('Set', id, { v: members.map((member) => encode(member, state)) })
+    }
+    case '[object Error]':
+    {
+      return tagged('Error', id,
+      {
+        name    : String(value.name),
+        message : String(value.message),
+        stack   : state.options.canonical ? undefined : value.stack,
+        ...Object.fromEntries(hiddenErrorKeysOf(value).map((key) => [ key, encode(value[key], state) ])),
+        v       : encodeProperties(value, state)
+      })
+    }
+    case '[object Number]'  :
+    case '[object String]'  :
+    case '[object Boolean]' :
+    case '[object BigInt]'  :
+    case '[object Symbol]'  :
+    {
+      return tagged(type.slice(8, -1), id, { v: encode(value.valueOf(), state) })
+    }
+    case '[object ArrayBuffer]'       :
+    case '[object SharedArrayBuffer]' :
+    {
+      return tagged(type.slice(8, -1), id, { v: Buffer.from(value).toString('base64') })
+    }
+    case '[object URL]'               :
+    case '[object URLSearchParams]'   :
+    {
+      return tagged(type.slice(8, -1), id, { v: String(value) })
+    }
+  }
+
+  // a buffer is encoded by its own bytes, since it can be a slice of a pool
+  if(Buffer.isBuffer(value))
+  {
+    return tagged('Buffer', id, { v: value.toString('base64') })
+  }
+
+  if(views.includes(type.slice(8, -1)))
+  {
+    return tagged(type.slice(8, -1), id,
+    {
+      buffer      : encode(value.buffer, state),
+      byteOffset  : value.byteOffset,
+      length      : 'DataView' === type.slice(8, -1) ? value.byteLength : value.length
+    })
+  }
+
+  throw new UnsupportedTypeError(`Can not serialize the type ${type}`)
+}
+
+/**
+ * Encodes the enumerable string keys of the value as an object, where the
+ * values are encoded in the same order as the keys of the encoded object,
+ * which is the order the values are decoded in.
+ */
+function encodeProperties(value, state)
+{
+  const
+    output  = {},
+    keys    = Object.keys(value)
+
+  if(state.options.canonical)
+  {
+    keys.sort()
+  }
+
+  for(const key of keys)
+  {
+    define(output, escape(key), null)
+  }
+
+  for(const key of Object.keys(output))
+  {
+    define(output, key, encode(value[unescape(key)], state))
+  }
+
+  return output
+}
+
+/**
+ * The cause of an error, and the errors of an aggregate error, are own
+ * properties that are not enumerable, and are encoded explicitly.
+ */
+function hiddenErrorKeysOf(error)
+{
+  return [ 'cause', 'errors' ].filter((key) => Object.hasOwn(error, key)
+    && false === Object.prototype.propertyIsEnumerable.call(error, key))
+}
+
+/**
+ * The enumerable symbol keys of the value, and their values.
+ */
+function symbolsOf(value)
+{
+  return Object.getOwnPropertySymbols(value)
+    .filter((symbol) => Object.prototype.propertyIsEnumerable.call(value, symbol))
+    .map((symbol) => [ symbol, value[symbol] ])
+}
+
+/**
+ * Orders the entries of a map, the members of a set, or the symbol keys of an
+ * object, by their hash when canonical, else by the insertion order.
+ */
+function ordered(items, state)
+{
+  if(false === state.options.canonical)
+  {
+    return items
+  }
+
+  return items
+    .map((item) => [ deephash(item), item ])
+    .sort(([ a ], [ b ]) => a < b ? -1 : a > b ? 1 : 0)
+    .map(([ , item ]) => item)
+}
+
+function tagged(tag, id, fields)
+{
+  return undefined === id
+    ? { $: tag, ...fields }
+    : { $: tag, id, ...fields }
+}
+
+function decode(node, state)
+{
+  if(false === isObject(node))
+  {
+    return node
+  }
+
+  if(Array.isArray(node))
+  {
+    return decodeArray(node, [], state)
+  }
+
+  if(false === Object.hasOwn(node, '$'))
+  {
+    return decodeProperties(node, {}, state)
+  }
+
+  switch(node.$)
+  {
+    case 'undefined'  : return undefined
+    case 'number'     : return Number(node.v)
+    case 'bigint'     : return BigInt(node.v)
+    case 'ref':
+    {
+      if(false === state.refs.has(node.id))
+      {
+        throw new InvalidFormatError(`Unknown reference "${node.id}"`)
+      }
+
+      return state.refs.get(node.id)
+    }
+    case 'symbol':
+    {
+      return register(node, undefined === node.for ? Symbol(node.description) : Symbol.for(node.for), state)
+    }
+    case 'Array':
+    {
+      return decodeArray(node.v, register(node, [], state), state)
+    }
+    case 'object':
+    {
+      const output = register(node, null === node.prototype ? Object.create(null) : {}, state)
+
+      decodeProperties(node.v, output, state)
+
+      for(const [ key, value ] of node.symbols ?? [])
+      {
+        define(output, decode(key, state), decode(value, state))
+      }
+
+      return output
+    }
+    case 'Date':
+    {
+      return register(node, new Date(decode(node.v, state)), state)
+    }
+    case 'RegExp':
+    {
+      const output = register(node, new RegExp(node.source, node.flags), state)
+      output.lastIndex = node.lastIndex
+      return output
+    }
+    case 'Map':
+    {
+      const output = register(node, new Map, state)
+
+      for(const [ key, value ] of node.v)
+      {
+        output.set(decode(key, state), decode(value, state))
+      }
+
+      return output
+    }
+    case 'Set':
+    {
+      const output = register(node, new Set, state)
+
+      for(const member of node.v)
+      {
+        output.add(decode(member, state))
+      }
+
+      return output
+    }
+    case 'Error':
+    {
+      const
+        Constructor = Object.hasOwn(errors, node.name) ? errors[node.name] : Error,
+        output      = register(node, AggregateError === Constructor
+                    ? new AggregateError([], node.message)
+                    : new Constructor(node.message), state)
+
+      if(output.name !== node.name)
+      {
+        Object.defineProperty(output, 'name', { value: node.name, writable: true, configurable: true })
+      }
+
+      if(typeof node.stack === 'string')
+      {
+        Object.defineProperty(output, 'stack', { value: node.stack, writable: true, configurable: true })
+      }
+
+      for(const key of [ 'cause', 'errors' ])
+      {
+        if(Object.hasOwn(node, key))
+        {
+          Object.defineProperty(output, key, { value: decode(node[key], state), writable: true, configurable: true })
+        }
+      }
+
+      return decodeProperties(node.v, output, state)
+    }
+    case 'Number'   :
+    case 'String'   :
+    case 'Boolean'  :
+    case 'BigInt'   :
+    case 'Symbol'   :
+    {
+      return register(node, Object(decode(node.v, state)), state)
+    }
+    case 'ArrayBuffer'        :
+    case 'SharedArrayBuffer'  :
+    {
+      const
+        bytes   = Buffer.from(node.v, 'base64'),
+        output  = 'ArrayBuffer' === node.$ ? new ArrayBuffer(bytes.length) : new SharedArrayBuffer(bytes.length)
+
+      new Uint8Array(output).set(bytes)
+
+      return register(node, output, state)
+    }
+    case 'Buffer':
+    {
+      return register(node, Buffer.from(node.v, 'base64'), state)
+    }
+    case 'URL':
+    {
+      return register(node, new URL(node.v), state)
+    }
+    case 'URLSearchParams':
+    {
+      return register(node, new URLSearchParams(node.v), state)
+    }
+  }
+
+  if(views.includes(node.$))
+  {
+    const buffer = decode(node.buffer, state)
+    return register(node, new globalThis[node.$](buffer, node.byteOffset, node.length), state)
+  }
+
+  throw new InvalidFormatError(`Unknown type "${node.$}"`)
+}
+
+function decodeArray(items, output, state)
+{
+  for(let i = 0; i < items.length; i++)
+  {
+    if('hole' === items[i]?.$)
+    {
+      output.length = i + 1
+      continue
+    }
+
+    output[i] = decode(items[i], state)
+  }
+
+  return output
+}
+
+function decodeProperties(properties, output, state)
+{
+  for(const [ key, value ] of Object.entries(properties))
+  {
+    define(output, unescape(key), decode(value, state))
+  }
+
+  return output
+}
+
+/**
+ * A value decoded with an id is registered before its children are decoded,
+ * so that a circular reference resolves to the value.
+ */
+function register(node, value, state)
+{
+  if(undefined !== node.id)
+  {
+    state.refs.set(node.id, value)
+  }
+
+  return value
+}
+
+/**
+ * Defined, not assigned, so that a "__proto__" key is an own property.
+ */
+function define(target, key, value)
+{
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+function isObject(value)
+{
+  return typeof value === 'object'
+      && value !== null
+}
+
+function escape(key)
+{
+  return key.startsWith('$')
+    ? '$' + key
+    : key
+}
+
+function unescape(key)
+{
+  return key.startsWith('$')
+    ? key.slice(1)
+    : key
+}
+
+class UnsupportedTypeError extends TypeError
+{
+  name = 'UnsupportedTypeError'
+  code = 'E_DEEP_SERIALIZE_UNSUPPORTED_TYPE'
+}
+
+class InvalidFormatError extends TypeError
+{
+  name = 'InvalidFormatError'
+  code = 'E_DEEP_SERIALIZE_INVALID_FORMAT'
+}
@@ -0,0 +1,142 @@
+import assert               from 'assert'
+import { suite, test }      from 'node:test'
+import { stringify, parse } from '@superhero/deep/serialize'
+import deepequal            from '@superhero/deep/equal'
+
+suite('@superhero/deep/serialize', () =>
+{
+  test('Serializes JSON values as JSON', () =>
+  {
+    const value = { foo: 'bar', list: [1, true, null], nested: { baz: 1.5 } }
+
+    assert.strictEqual(stringify(value), JSON.stringify(value))
+    assert.deepStrictEqual(parse(stringify(value)), value)
+  })
+
+  test('Round-trips the types not supported by JSON', () =>
+  {
+    const value =
+    {
+      undefined : undefined,
+      negative  : -0,
+      nan       : NaN,
+      infinity  : -Infinity,
+      bigint    : 10n,
+      date      : new Date(0),
+      regexp    : /foo/gi,
+      map       : new Map([[{ id: 1 }, new Set([1, 'a'])]]),
+      set       : new Set([1, { foo: 'bar' }]),
+      holes     : [1, , 3],
+      error     : new TypeError('foo'),
+      boxed     : Object(1n),
+      bytes     : new Uint8Array([1, 2, 3]),
+      buffer    : Buffer.from('foo'),
+      url       : new URL('https://example.com/?foo=bar'),
+      global    : Symbol.for('foo'),
+      null      : Object.create(null)
+    }
+
+    const result = parse(stringify(value))
+
+    assert.ok(deepequal(result, value), 'Should be equal to the original')
+    assert.ok(result.error instanceof TypeError)
+    assert.ok(Buffer.isBuffer(result.buffer))
+    assert.strictEqual(Object.getPrototypeOf(result.null), null)
+    assert.strictEqual(1 in result.holes, false, 'Should keep the hole')
+  })
+
+  test('Round-trips symbol keys and symbols', () =>
+  {
+    const
+      symbol  = Symbol('foo'),
+      value   = { [symbol]: 1, same: symbol, global: Symbol.for('bar') },
+      result  = parse(stringify(value))
+
+    const [ key ] = Object.getOwnPropertySymbols(result)
+
+    assert.strictEqual(key.description,   'foo')
+    assert.strictEqual(result[key],       1)
+    assert.strictEqual(result.same,       key,                'Should keep the identity of a shared symbol')
+    assert.strictEqual(result.global,     Symbol.for('bar'),  'Should resolve a global symbol')
+  })
+
+  test('Round-trips shared and circular references', () =>
+  {
+    const
+      shared  = { foo: 'bar' },
+      buffer  = new ArrayBuffer(8),
+      value   = { a: shared, b: [shared], map: new Map([['c', shared]]), view: new Uint8Array(buffer, 2), data: new DataView(buffer) }
+
+    value.self    = value
+    shared.parent = value
+
+    const result = parse(stringify(value))
+
+    assert.ok(deepequal(result, value))
+    assert.strictEqual(result.self,             result)
+    assert.strictEqual(result.b[0],             result.a)
+    assert.strictEqual(result.map.get('c'),     result.a)
+    assert.strictEqual(result.a.parent,         result)
+    assert.strictEqual(result.view.buffer,      result.data.buffer, 'Should keep views over the same buffer')
+  })
+
+  test('Escapes keys starting with "$"', () =>
+  {
+    const value = { $: 'foo', $bar: { $$baz: 1 } }
+
+    assert.strictEqual(stringify(value), '{"$$":"foo","$$bar":{"$$$baz":1}}')
+    assert.deepStrictEqual(parse(stringify(value)), value)
+  })
+
+  test('Does not pollute the prototype', () =>
+  {
+    const result = parse('{"__proto__":{"polluted":1}}')
+
+    assert.strictEqual({}.polluted, undefined)
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result, '__proto__').value, { polluted: 1 })
+  })
+
+  test('Serializes canonically when requested', () =>
+  {
+    const
+      a = { foo: 1, bar: new Map([['x', 1], ['y', 2]]), baz: new Set([1, 2]) },
+      b = { baz: new Set([2, 1]), bar: new Map([['y', 2], ['x', 1]]), foo: 1 }
+
+    assert.notStrictEqual(stringify(a), stringify(b))
+    assert.strictEqual(stringify(a, { canonical: true }), stringify(b, { canonical: true }))
+    assert.ok(deepequal(parse(stringify(a, { canonical: true })), a))
+  })
+
+  test('Round-trips the cause of errors and aggregate errors', () =>
+  {
+    const
+      cause     = { foo: 'bar' },
+      error     = new Error('foo', { cause }),
+      aggregate = new AggregateError([ error, new TypeError('bar') ], 'baz'),
+      result    = parse(stringify({ error, aggregate }))
+
+    assert.deepStrictEqual(result.error.cause, cause)
+    assert.strictEqual(Object.prototype.propertyIsEnumerable.call(result.error, 'cause'), false)
+    assert.ok(result.aggregate instanceof AggregateError)
+    assert.strictEqual(result.aggregate.message, 'baz')
+    assert.strictEqual(result.aggregate.errors[0], result.error, 'Should keep the identity of a shared error')
+    assert.ok(result.aggregate.errors[1] instanceof TypeError)
+    assert.ok(deepequal(result, { error, aggregate }))
+  })
+
+  test('Throws on unsupported types', () =>
+  {
+    class Foo {}
+
+    assert.throws(() => stringify({ foo: () => {} }),     { code: 'E_DEEP_SERIALIZE_UNSUPPORTED_TYPE' })
+    assert.throws(() => stringify({ foo: new WeakMap }),  { code: 'E_DEEP_SERIALIZE_UNSUPPORTED_TYPE' })
+    assert.throws(() => stringify({ foo: new Foo }),      { name: 'UnsupportedTypeError', message: 'Can not serialize an instance of Foo' })
+  })
+
+  test('Throws on an invalid format', () =>
+  {
+    assert.throws(() => parse('{"$":"foo"}'),           { code: 'E_DEEP_SERIALIZE_INVALID_FORMAT' })
+    assert.throws(() => parse('{"$":"ref","id":1}'),    { code: 'E_DEEP_SERIALIZE_INVALID_FORMAT' })
+  })
+})
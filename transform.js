@@ -0,0 +1,220 @@
+import deepclone        from '@superhero/deep/clone'
+import { isCloneable }  from '@superhero/deep/clone'
+
+/**
+ * Returned by the transform function to drop the node from the structure.
+ */
+export const drop = Symbol('@superhero/deep/transform/drop')
+
+/**
+ * Transforms the value into a new structure, by calling the transform
+ * function with each leaf of the structure, and the path to the leaf. The
+ * returned value replaces the leaf in the new structure.
+ *
+ * @example transform({ foo: 'bar', baz: [1] }, (value) => String(value))
+ * results in { foo: 'bar', baz: ['1'] }
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The structure is rebuilt the same way as by the clone function, arrays,
+ * objects, maps and sets are rebuilt with the same prototypes, descriptors
+ * and circular references, while a leaf returned as is, is cloned. The
+ * clone options "preservesImutable" and "preservesEnumerable" are supported.
+ * Accessors are kept as is, and are not transformed.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * With the option "containers" set to true, the transform function is also
+ * called with each rebuilt array, object, map and set, after their children
+ * are transformed.
+ *
+ * @example transform(value, (value, path) => value, { containers: true })
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * When the transform function returns the "drop" symbol, the node is removed
+ * from the structure. A dropped element of an array shifts the following
+ * elements.
+ *
+ * @example transform({ foo: 'bar', baz: 1 }, (value) => typeof value ===
+ * 'string' ? drop : value) results in { baz: 1 }
+ */
+export default function transform(value, fn, options = {})
+{
+  options.containers          = options.containers          ?? false
+  options.preservesImutable   = options.preservesImutable   ?? false
+  options.preservesEnumerable = options.preservesEnumerable ?? true
+
+  const
+    state   = { fn, options, seen: new WeakMap },
+    output  = transformNode(value, [], state)
+
+  return drop === output
+    ? undefined
+    : output
+}
+
+function transformNode(value, path, state)
+{
+  if(state.seen.has(value))
+  {
+    return state.seen.get(value)
+  }
+
+  // an object that defines its own clone protocol is a leaf
+  if(isCloneable(value))
+  {
+    return transformLeaf(value, path, state)
+  }
+
+  let output
+
+  switch(Object.prototype.toString.call(value))
+  {
+    case '[object Array]'   : output = transformArray(value, path, state)   ; break
+    case '[object Object]'  : output = transformObject(value, path, state)  ; break
+    case '[object Map]'     : output = transformMap(value, path, state)     ; break
+    case '[object Set]'     : output = transformSet(value, path, state)     ; break
+    default                 : return transformLeaf(value, path, state)
+  }
+
+  if(state.options.preservesImutable)
+  {
+    preserveImutable(value, output)
+  }
+
+  return state.options.containers
+    ? state.fn(output, path)
+    : output
+}
+
+/**
+ * A leaf returned as is by the transform function is cloned, to not share
+ * a reference with the transformed value.
+ */
+function transformLeaf(value, path, state)
+{
+  const output = state.fn(value, path)
+
+  return output === value
+    ? deepclone(value, { ...state.options })
+    : output
+}
+
+function transformArray(array, path, state)
+{
+  const output = []
+
+  state.seen.set(array, output)
+
+  for(let i = 0; i < array.length; i++)
+  {
+    const value = transformNode(array[i], [...path, i], state)
+
+    if(drop !== value)
+    {
+      output.push(value)
+    }
+  }
+
+  return output
+}
+
+function transformObject(obj, path, state)
+{
+  const output = Object.create(Object.getPrototypeOf(obj))
+
+  state.seen.set(obj, output)
+
+  for(const key of Reflect.ownKeys(obj))
+  {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+
+    if(false === ('value' in descriptor))
+    {
+      Object.defineProperty(output, key,
+      {
+        enumerable    : state.options.preservesEnumerable ? descriptor.enumerable   : true,
+        configurable  : state.options.preservesImutable   ? descriptor.configurable : true,
+        get           : descriptor.get,
+        set           : descriptor.set
+      })
+      continue
+    }
+
+    const value = transformNode(descriptor.value, [...path, key], state)
+
+    if(drop !== value)
+    {
+      Object.defineProperty(output, key,
+      {
+        enumerable    : state.options.preservesEnumerable ? descriptor.enumerable   : true,
+        writable      : state.options.preservesImutable   ? descriptor.writable     : true,
+        configurable  : state.options.preservesImutable   ? descriptor.configurable : true,
+        value
+      })
+    }
+  }
+
+  return output
+}
+
+function transformMap(map, path, state)
+{
+  const output = new Map
+
+  state.seen.set(map, output)
+
+  for(const [key, value] of map)
+  {
+    const transformed = transformNode(value, [...path, key], state)
+
+    if(drop !== transformed)
+    {
+      output.set(deepclone(key, { ...state.options }), transformed)
+    }
+  }
+
+  return output
+}
+
+/**
+ * A member of a set has no key, the path of a member is its index in the
+ * iteration order of the set.
+ */
+function transformSet(set, path, state)
+{
+  const output = new Set
+
+  state.seen.set(set, output)
+
+  let i = 0
+
+  for(const member of set)
+  {
+    const transformed = transformNode(member, [...path, i++], state)
+
+    if(drop !== transformed)
+    {
+      output.add(transformed)
+    }
+  }
+
+  return output
+}
+
+function preserveImutable(value, output)
+{
+  if(Object.isFrozen(value))
+  {
+    Object.freeze(output)
+  }
+  else if(Object.isSealed(value))
+  {
+    Object.seal(output)
+  }
+  else if(false === Object.isExtensible(value))
+  {
+    Object.preventExtensions(output)
+  }
+}
@@ -0,0 +1,124 @@
+import assert               from 'assert'
+import { suite, test }      from 'node:test'
+import deeptransform        from '@superhero/deep/transform'
+import { drop }             from '@superhero/deep/transform'
+
+suite('@superhero/deep/transform', () =>
+{
+  test('Transforms each leaf', () =>
+  {
+    const
+      value   = { foo: 'bar', baz: [1, { qux: 2 }] },
+      result  = deeptransform(value, (value) => typeof value === 'number' ? value * 10 : value)
+
+    assert.deepStrictEqual(result, { foo: 'bar', baz: [10, { qux: 20 }] })
+    assert.deepStrictEqual(value,  { foo: 'bar', baz: [1, { qux: 2 }] }, 'Should not mutate the value')
+  })
+
+  test('Calls the transform function with the path', () =>
+  {
+    const paths = []
+
+    deeptransform({ foo: [1], bar: new Map([['baz', 2]]), qux: new Set([3]) }, (value, path) =>
+    {
+      paths.push(path)
+      return value
+    })
+
+    assert.deepStrictEqual(paths, [['foo', 0], ['bar', 'baz'], ['qux', 0]])
+  })
+
+  test('Converts dates and redacts strings', () =>
+  {
+    const
+      value   = { createdAt: new Date(0), user: { name: 'foo', password: 'bar' } },
+      result  = deeptransform(value, (value, path) =>
+      {
+        if(value instanceof Date)
+        {
+          return value.toISOString()
+        }
+
+        return 'password' === path.at(-1) ? '***' : value
+      })
+
+    assert.deepStrictEqual(result, { createdAt: '1970-01-01T00:00:00.000Z', user: { name: 'foo', password: '***' } })
+  })
+
+  test('Clones a leaf returned as is', () =>
+  {
+    const
+      value   = { date: new Date(0) },
+      result  = deeptransform(value, (value) => value)
+
+    assert.deepStrictEqual(result, value)
+    assert.notStrictEqual(result.date, value.date, 'Should not share the reference')
+  })
+
+  test('Drops nodes', () =>
+  {
+    const
+      value   = { foo: 'bar', baz: [1, 'qux', 2], map: new Map([['a', 'b'], ['c', 3]]), set: new Set(['d', 4]) },
+      result  = deeptransform(value, (value) => typeof value === 'string' ? drop : value)
+
+    assert.deepStrictEqual(result, { baz: [1, 2], map: new Map([['c', 3]]), set: new Set([4]) })
+    assert.strictEqual(deeptransform('foo', () => drop), undefined, 'Should return undefined if the root is dropped')
+  })
+
+  test('Transforms containers when requested', () =>
+  {
+    const
+      visited = [],
+      result  = deeptransform({ foo: { bar: 1 }, baz: [] }, (value, path) =>
+      {
+        visited.push(path.join('.'))
+
+        return Array.isArray(value) && 0 === value.length
+          ? drop
+          : value
+      }, { containers: true })
+
+    assert.deepStrictEqual(visited, ['foo.bar', 'foo', 'baz', ''], 'Should transform a container after its children')
+    assert.deepStrictEqual(result,  { foo: { bar: 1 } })
+  })
+
+  test('Preserves prototypes and descriptors', () =>
+  {
+    class Config {}
+
+    const value = new Config
+
+    Object.defineProperty(value, 'hidden',   { value: 1, enumerable: false, writable: false, configurable: false })
+    Object.defineProperty(value, 'computed', { get: () => 2, enumerable: true, configurable: true })
+    Object.freeze(value)
+
+    const
+      plain     = deeptransform(value, (value) => value + 1),
+      preserved = deeptransform(value, (value) => value + 1, { preservesImutable: true })
+
+    assert.ok(plain instanceof Config, 'Should preserve the prototype')
+    assert.strictEqual(plain.hidden,    2)
+    assert.strictEqual(plain.computed,  2, 'Should keep the accessor as is')
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(plain, 'hidden'),
+      { value: 2, enumerable: false, writable: true, configurable: true })
+    assert.strictEqual(Object.isFrozen(plain),      false)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(preserved, 'hidden'),
+      { value: 2, enumerable: false, writable: false, configurable: false })
+    assert.strictEqual(Object.isFrozen(preserved),  true)
+  })
+
+  test('Handles circular references', () =>
+  {
+    const value = { foo: 1, nested: { bar: 2 } }
+
+    value.self          = value
+    value.nested.parent = value
+
+    const result = deeptransform(value, (value) => value * 2)
+
+    assert.strictEqual(result.foo,            2)
+    assert.strictEqual(result.nested.bar,     4)
+    assert.strictEqual(result.self,           result)
+    assert.strictEqual(result.nested.parent,  result)
+  })
+})
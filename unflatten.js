@@ -0,0 +1,201 @@
+/**
+ * Unflattens an object of delimited keys into a nested structure, the
+ * inverse of the flatten function. Each key is split by the delimiter into
+ * the path to a leaf, and the missing containers along the path are created,
+ * as an array if the following segment is an index, else as an object. The
+ * delimiter is "." by default, and is defined by the "delimiter" option.
+ *
+ * @example unflatten({ 'db.host': 'x', 'list.0': 1 }) results in
+ * { db: { host: 'x' }, list: [1] }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * A delimiter, or a backslash, escaped by a backslash is part of the key.
+ * The flattened keys can be an object, or a map.
+ *
+ * @example unflatten({ 'example\\.com.port': 80 }) results in
+ * { 'example.com': { port: 80 } }.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * With the "maps" option set to true, maps are created instead of objects.
+ *
+ * The "coerce" option is a function called with each value and the path to
+ * the value, as the segments of the key, where the returned value replaces
+ * the value in the unflattened structure. Useful when the values are
+ * strings, such as environment variables.
+ *
+ * @example unflatten(env, { delimiter: '__', coerce: (value) => JSON.parse(value) })
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The unflattened structure is designed to be merged into a nested structure
+ * by the merge function, to apply flat overrides. An override of an array
+ * element is unflattened to a sparse array, that the default "union"
+ * strategy of merge appends, the "byIndex" strategy of mergeWith is used to
+ * override the element at the index instead.
+ *
+ * @example mergeWith({ array: 'byIndex' }, config, unflatten({ 'db.hosts.0': 'y' }))
+ */
+export default function unflatten(flat, options = {})
+{
+  options.delimiter = options.delimiter ?? '.'
+  options.maps      = options.maps      ?? false
+  options.coerce    = options.coerce    ?? ((value) => value)
+
+  assertDelimiter(options)
+
+  const entries = flat instanceof Map
+                ? [...flat]
+                : Object.entries(flat)
+
+  // the root is created by the first key, as an array if it is an index
+  let output
+
+  for(const [ key, value ] of entries)
+  {
+    const path = split(String(key), options.delimiter)
+    output = unflattenEntry(output, path, options.coerce(value, path), options)
+  }
+
+  return output ?? create(undefined, options)
+}
+
+/**
+ * Writes the value at the path, and returns the container. A container
+ * along the path that is not an array, an object or a map, is replaced.
+ */
+function unflattenEntry(container, path, value, options)
+{
+  const [ segment, ...rest ] = path
+
+  if(false === isContainer(container))
+  {
+    container = create(segment, options)
+  }
+
+  const key = Array.isArray(container) && isIndex(segment)
+            ? Number(segment)
+            : segment
+
+  write(container, key, rest.length
+    ? unflattenEntry(read(container, key), rest, value, options)
+    : value)
+
+  return container
+}
+
+/**
+ * Splits the key by the delimiter, where a backslash escapes the delimiter,
+ * or any other character that follows it.
+ */
+function split(key, delimiter)
+{
+  const segments = []
+
+  let segment = ''
+
+  for(let i = 0; i < key.length; i++)
+  {
+    if('\\' === key[i])
+    {
+      if(key.startsWith(delimiter, i + 1))
+      {
+        segment += delimiter
+        i += delimiter.length
+      }
+      else if(i + 1 < key.length)
+      {
+        segment += key[++i]
+      }
+      continue
+    }
+
+    if(key.startsWith(delimiter, i))
+    {
+      segments.push(segment)
+      segment = ''
+      i += delimiter.length - 1
+      continue
+    }
+
+    segment += key[i]
+  }
+
+  segments.push(segment)
+
+  return segments
+}
+
+function isContainer(value)
+{
+  return Array.isArray(value)
+      || value instanceof Map
+      || Object.prototype.toString.call(value) === '[object Object]'
+}
+
+function isIndex(segment)
+{
+  return /^(0|[1-9]\d*)$/.test(segment)
+}
+
+function create(segment, options)
+{
+  if(isIndex(segment))
+  {
+    return []
+  }
+
+  return options.maps
+    ? new Map
+    : {}
+}
+
+/**
+ * Only own properties are read, so that a key such as "__proto__" does not
+ * resolve to the prototype.
+ */
+function read(container, key)
+{
+  if(container instanceof Map)
+  {
+    return container.get(key)
+  }
+
+  return Object.hasOwn(container, key)
+    ? container[key]
+    : undefined
+}
+
+function write(container, key, value)
+{
+  if(container instanceof Map)
+  {
+    container.set(key, value)
+    return
+  }
+
+  Object.defineProperty(container, key,
+  {
+    value,
+    enumerable    : true,
+    writable      : true,
+    configurable  : true
+  })
+}
+
+function assertDelimiter(options)
+{
+  if(typeof options.delimiter !== 'string'
+  || '' === options.delimiter
+  || options.delimiter.includes('\\'))
+  {
+    throw new InvalidDelimiterError(`Invalid delimiter "${String(options.delimiter)}", expected a non-empty string without a backslash`)
+  }
+}
+
+class InvalidDelimiterError extends TypeError
+{
+  name = 'InvalidDelimiterError'
+  code = 'E_DEEP_UNFLATTEN_INVALID_DELIMITER'
+}
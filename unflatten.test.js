@@ -0,0 +1,110 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepunflatten    from '@superhero/deep/unflatten'
+import deepflatten      from '@superhero/deep/flatten'
+import deepmerge        from '@superhero/deep/merge'
+import { mergeWith }    from '@superhero/deep/merge'
+
+suite('@superhero/deep/unflatten', () =>
+{
+  test('Unflattens delimited keys to nested objects and arrays', () =>
+  {
+    const
+      flat      = { 'db.host': 'x', 'db.port': 5432, 'list.0': 1, 'list.1.id': 2 },
+      expected  = { db: { host: 'x', port: 5432 }, list: [1, { id: 2 }] }
+
+    assert.deepStrictEqual(deepunflatten(flat), expected)
+  })
+
+  test('Unflattens by a custom delimiter', () =>
+  {
+    const
+      flat      = { DB__HOST: 'x', DB__PORT: '5432' },
+      expected  = { DB: { HOST: 'x', PORT: '5432' } }
+
+    assert.deepStrictEqual(deepunflatten(flat, { delimiter: '__' }), expected)
+  })
+
+  test('Unescapes delimiters and backslashes inside keys', () =>
+  {
+    const
+      flat      = { 'example\\.com.port': 80, 'c:\\\\dir': 1 },
+      expected  = { 'example.com': { port: 80 }, 'c:\\dir': 1 }
+
+    assert.deepStrictEqual(deepunflatten(flat), expected)
+  })
+
+  test('Creates an array root when the first key is an index', () =>
+  {
+    assert.deepStrictEqual(deepunflatten({ '0': 'a', '1.b': 'c' }), ['a', { b: 'c' }])
+    assert.deepStrictEqual(deepunflatten({}), {})
+  })
+
+  test('Unflattens from a map, and to maps when requested', () =>
+  {
+    const
+      flat      = new Map([['cache.ttl', 60]]),
+      expected  = new Map([['cache', new Map([['ttl', 60]])]])
+
+    assert.deepStrictEqual(deepunflatten(flat),                  { cache: { ttl: 60 } })
+    assert.deepStrictEqual(deepunflatten(flat, { maps: true }),  expected)
+  })
+
+  test('Coerces the values by the coerce hook', () =>
+  {
+    const
+      flat      = { PORT: '80', DEBUG: 'true', NAME: 'foo' },
+      coerce    = (value) => { try { return JSON.parse(value) } catch { return value } },
+      expected  = { PORT: 80, DEBUG: true, NAME: 'foo' }
+
+    assert.deepStrictEqual(deepunflatten(flat, { coerce }), expected)
+  })
+
+  test('Does not pollute the prototype', () =>
+  {
+    const result = deepunflatten({ '__proto__.polluted': 1, 'constructor.prototype.polluted': 2 })
+
+    assert.strictEqual({}.polluted, undefined,  'Should not pollute the object prototype')
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype)
+    assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result, '__proto__').value, { polluted: 1 })
+  })
+
+  test('Round-trips with flatten', () =>
+  {
+    const value =
+    {
+      db    : { host: 'x', 'a.b': { 'c\\d': 1 } },
+      list  : [1, { id: 2, tags: [] }],
+      empty : {}
+    }
+
+    assert.deepStrictEqual(deepunflatten(deepflatten(value)), value)
+    assert.deepStrictEqual(deepunflatten(deepflatten(value, { delimiter: '__' }), { delimiter: '__' }), value)
+  })
+
+  test('Merges flat overrides into a nested structure', () =>
+  {
+    const
+      config    = { db: { host: 'x', port: 5432 }, debug: false },
+      overrides = { 'db.host': 'y', debug: true },
+      expected  = { db: { host: 'y', port: 5432 }, debug: true }
+
+    assert.deepStrictEqual(deepmerge(config, deepunflatten(overrides)), expected)
+  })
+
+  test('Merges flat overrides of array elements by index', () =>
+  {
+    const
+      config    = { list: ['a', 'b'], hosts: [{ name: 'x', port: 1 }] },
+      overrides = { 'list.1': 'B', 'hosts.0.port': 2 },
+      expected  = { list: ['a', 'B'], hosts: [{ name: 'x', port: 2 }] }
+
+    assert.deepStrictEqual(mergeWith({ array: 'byIndex' }, config, deepunflatten(overrides)), expected)
+    assert.deepStrictEqual(config.list, ['a', 'b'], 'Should not mutate the config')
+  })
+
+  test('Throws on an invalid delimiter', () =>
+  {
+    assert.throws(() => deepunflatten({}, { delimiter: 1 }), { code: 'E_DEEP_UNFLATTEN_INVALID_DELIMITER' })
+  })
+})
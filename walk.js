@@ -0,0 +1,180 @@
+/**
+ * Returned by the visitor to not walk the children of the visited node.
+ */
+export const skip = Symbol('@superhero/deep/walk/skip')
+
+/**
+ * Returned by the visitor to stop the walk.
+ */
+export const stop = Symbol('@superhero/deep/walk/stop')
+
+/**
+ * Walks the value, and calls the visitor with each node of the structure,
+ * starting with the value itself as the root node. A node describes:
+ * - "value"      the value of the node.
+ * - "key"        the key of the node in the parent, undefined for the root.
+ * - "parent"     the value of the parent node, undefined for the root.
+ * - "path"       the keys from the root to the node.
+ * - "depth"      the number of keys from the root to the node.
+ * - "type"       the type tag of the value, such as "[object Array]".
+ * - "descriptor" the property descriptor, if the node is a property.
+ * - "circular"   true if the value is an ancestor of the node.
+ *
+ * @example walk({ foo: [1] }, ({ path, value }) => console.log(path, value))
+ * logs [] { foo: [1] }, ['foo'] [1] and ['foo', 0] 1.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * Objects, arrays, maps and sets are walked. The own keys of an object are
+ * walked, including non-enumerable and symbol keys, where an accessor is
+ * not called, instead the value of the node is undefined. An element of an
+ * array is keyed by its index, a map entry by its key, and a member of a
+ * set by its index in the iteration order of the set. A circular reference
+ * is visited, but not walked.
+ *
+ * ----------------------------------------------------------------------------
+ *
+ * The nodes are visited in pre-order by default, a parent before its
+ * children, or in post-order with the option "order" set to "post", the
+ * children before their parent. The visitor can return the "skip" symbol
+ * to not walk the children of a node visited in pre-order, or the "stop"
+ * symbol to stop the walk.
+ *
+ * @example walk(value, (node) => node.key === 'secret' ? stop : undefined)
+ */
+export default function walk(value, visitor, options = {})
+{
+  options.order = options.order ?? 'pre'
+
+  assertOrder(options)
+
+  const
+    state = { visitor, options, ancestors: new WeakSet, stopped: false },
+    root  = { value, key: undefined, parent: undefined, path: [], depth: 0, descriptor: undefined }
+
+  walkNode(root, state)
+}
+
+function walkNode(node, state)
+{
+  node.type     = Object.prototype.toString.call(node.value)
+  node.circular = state.ancestors.has(node.value)
+
+  if('pre' === state.options.order)
+  {
+    const signal = state.visitor(node)
+
+    if(stop === signal)
+    {
+      state.stopped = true
+      return
+    }
+
+    if(skip === signal)
+    {
+      return
+    }
+  }
+
+  if(false === node.circular)
+  {
+    walkChildren(node, state)
+  }
+
+  if(false === state.stopped
+  && 'post' === state.options.order
+  && stop === state.visitor(node))
+  {
+    state.stopped = true
+  }
+}
+
+function walkChildren(node, state)
+{
+  const children = childrenOf(node)
+
+  if(0 === children.length)
+  {
+    return
+  }
+
+  state.ancestors.add(node.value)
+
+  for(const [ key, value, descriptor ] of children)
+  {
+    walkNode(
+    {
+      value,
+      key,
+      parent  : node.value,
+      path    : [...node.path, key],
+      depth   : node.depth + 1,
+      descriptor
+    }, state)
+
+    if(state.stopped)
+    {
+      break
+    }
+  }
+
+  state.ancestors.delete(node.value)
+}
+
+/**
+ * Returns the children of the node as a list of key, value and descriptor.
+ */
+function childrenOf(node)
+{
+  switch(node.type)
+  {
+    case '[object Array]':
+    {
+      return Reflect.ownKeys(node.value)
+        .filter((key) => 'length' !== key)
+        .map((key) => propertyOf(node.value, isIndex(key) ? Number(key) : key))
+    }
+    case '[object Object]':
+    {
+      return Reflect.ownKeys(node.value).map((key) => propertyOf(node.value, key))
+    }
+    case '[object Map]':
+    {
+      return [...node.value]
+    }
+    case '[object Set]':
+    {
+      return [...node.value].map((member, i) => [ i, member ])
+    }
+    default:
+    {
+      return []
+    }
+  }
+}
+
+function isIndex(key)
+{
+  return typeof key === 'string'
+      && /^(0|[1-9]\d*)$/.test(key)
+}
+
+function propertyOf(obj, key)
+{
+  const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+  return [ key, descriptor.value, descriptor ]
+}
+
+function assertOrder(options)
+{
+  if(false === ['pre', 'post'].includes(options.order))
+  {
+    throw new InvalidOrderError(`Unknown order "${options.order}", expected "pre" or "post"`)
+  }
+}
+
+class InvalidOrderError extends TypeError
+{
+  name = 'InvalidOrderError'
+  code = 'E_DEEP_WALK_INVALID_ORDER'
+}
@@ -0,0 +1,183 @@
+import assert           from 'assert'
+import { suite, test }  from 'node:test'
+import deepwalk         from '@superhero/deep/walk'
+import { skip, stop }   from '@superhero/deep/walk'
+
+suite('@superhero/deep/walk', () =>
+{
+  test('Visits each node in pre-order', () =>
+  {
+    const visited = []
+
+    deepwalk({ foo: [1, { bar: 2 }], baz: 3 }, ({ path, depth }) => { visited.push([path, depth]) })
+
+    assert.deepStrictEqual(visited,
+    [
+      [[],                    0],
+      [['foo'],               1],
+      [['foo', 0],            2],
+      [['foo', 1],            2],
+      [['foo', 1, 'bar'],     3],
+      [['baz'],               1]
+    ])
+  })
+
+  test('Visits each node in post-order', () =>
+  {
+    const visited = []
+
+    deepwalk({ foo: [1], bar: 2 }, ({ path }) => { visited.push(path.join('.')) }, { order: 'post' })
+
+    assert.deepStrictEqual(visited, ['foo.0', 'foo', 'bar', ''])
+  })
+
+  test('Describes the node', () =>
+  {
+    const
+      value = { foo: [1] },
+      nodes = []
+
+    deepwalk(value, (node) => { nodes.push(node) })
+
+    assert.strictEqual(nodes[0].value,        value)
+    assert.strictEqual(nodes[0].key,          undefined)
+    assert.strictEqual(nodes[0].parent,       undefined)
+    assert.strictEqual(nodes[0].type,         '[object Object]')
+    assert.strictEqual(nodes[0].descriptor,   undefined)
+    assert.strictEqual(nodes[1].value,        value.foo)
+    assert.strictEqual(nodes[1].key,          'foo')
+    assert.strictEqual(nodes[1].parent,       value)
+    assert.strictEqual(nodes[1].type,         '[object Array]')
+    assert.deepStrictEqual(nodes[1].descriptor, { value: value.foo, writable: true, enumerable: true, configurable: true })
+    assert.strictEqual(nodes[2].key,          0)
+    assert.strictEqual(nodes[2].parent,       value.foo)
+    assert.strictEqual(nodes[2].type,         '[object Number]')
+  })
+
+  test('Walks non-enumerable, symbol and accessor keys without calling the accessor', () =>
+  {
+    const
+      sym     = Symbol('foo'),
+      value   = { [sym]: 1 },
+      visited = []
+
+    Object.defineProperty(value, 'hidden',   { value: 2, enumerable: false })
+    Object.defineProperty(value, 'computed', { get: () => { throw new Error('Should not be called') }, enumerable: true })
+
+    deepwalk(value, ({ key, value, descriptor }) => { visited.push([key, value, descriptor?.enumerable]) })
+
+    assert.deepStrictEqual(visited,
+    [
+      [undefined,   value,      undefined],
+      ['hidden',    2,          false],
+      ['computed',  undefined,  true],
+      [sym,         1,          true]
+    ])
+  })
+
+  test('Walks maps and sets', () =>
+  {
+    const visited = []
+
+    deepwalk({ map: new Map([['foo', { bar: 1 }]]), set: new Set(['baz']) }, ({ path, value }) =>
+    {
+      if(typeof value !== 'object')
+      {
+        visited.push([path, value])
+      }
+    })
+
+    assert.deepStrictEqual(visited,
+    [
+      [['map', 'foo', 'bar'],  1],
+      [['set', 0],             'baz']
+    ])
+  })
+
+  test('Skips subtrees', () =>
+  {
+    const visited = []
+
+    deepwalk({ foo: { bar: 1 }, baz: { qux: 2 } }, ({ path, key }) =>
+    {
+      visited.push(path.join('.'))
+      return 'foo' === key ? skip : undefined
+    })
+
+    assert.deepStrictEqual(visited, ['', 'foo', 'baz', 'baz.qux'])
+  })
+
+  test('Stops the walk', () =>
+  {
+    const
+      pre   = [],
+      post  = []
+
+    deepwalk({ foo: { bar: 1 }, baz: 2 }, ({ path, key }) =>
+    {
+      pre.push(path.join('.'))
+      return 'bar' === key ? stop : undefined
+    })
+
+    deepwalk({ foo: { bar: 1 }, baz: 2 }, ({ path, key }) =>
+    {
+      post.push(path.join('.'))
+      return 'foo' === key ? stop : undefined
+    }, { order: 'post' })
+
+    assert.deepStrictEqual(pre,   ['', 'foo', 'foo.bar'])
+    assert.deepStrictEqual(post,  ['foo.bar', 'foo'])
+  })
+
+  test('Does not walk the children of values that are not structures', () =>
+  {
+    const visited = []
+
+    deepwalk({ date: new Date, bytes: new Uint8Array(2), text: 'foo' }, ({ path }) => { visited.push(path.join('.')) })
+
+    assert.deepStrictEqual(visited, ['', 'date', 'bytes', 'text'])
+  })
+
+  test('Handles circular references', () =>
+  {
+    const
+      value   = { foo: {} },
+      visited = []
+
+    value.foo.parent  = value
+    value.self        = value
+
+    deepwalk(value, ({ path, circular }) => { visited.push([path.join('.'), circular]) })
+
+    assert.deepStrictEqual(visited,
+    [
+      ['',            false],
+      ['foo',         false],
+      ['foo.parent',  true],
+      ['self',        true]
+    ])
+  })
+
+  test('Visits a shared reference on each path', () =>
+  {
+    const
+      shared  = { foo: 1 },
+      visited = []
+
+    deepwalk({ a: shared, b: shared }, ({ path, circular }) => { visited.push([path.join('.'), circular]) })
+
+    assert.deepStrictEqual(visited,
+    [
+      ['',      false],
+      ['a',     false],
+      ['a.foo', false],
+      ['b',     false],
+      ['b.foo', false]
+    ])
+  })
+
+  test('Throws on an unknown order', () =>
+  {
+    assert.throws(() => deepwalk({}, () => {}, { order: 'foo' }), { name: 'InvalidOrderError', code: 'E_DEEP_WALK_INVALID_ORDER' })
+  })
+})